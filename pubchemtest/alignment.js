@@ -0,0 +1,222 @@
+/**
+ * Rigid superposition (Kabsch) and small 3×3 linear algebra
+ */
+
+/**
+ * Compute centroid of a list of points
+ */
+export function centroid(points) {
+    const n = points.length;
+    const sum = [0, 0, 0];
+    for (const p of points) {
+        sum[0] += p[0];
+        sum[1] += p[1];
+        sum[2] += p[2];
+    }
+    return sum.map(s => s / n);
+}
+
+/**
+ * Relative singular-value threshold below which a direction is treated as
+ * missing (collinear or planar point sets)
+ */
+const SINGULAR_TOL = 1e-8;
+
+/**
+ * Optimal rigid superposition of pointsA onto pointsB (Kabsch via SVD).
+ *
+ * Returns `{ R, t, rmsd, count, degenerate, planar }` so that R·a + t ≈ b.
+ * `degenerate` is set when the rotation is not fully determined (fewer than
+ * three points, or all points coincident or collinear); `planar` when the
+ * points span only a plane, which is still solved exactly.
+ */
+export function computeAlignment(pointsA, pointsB) {
+    const n = pointsA.length;
+    const identity = [[1,0,0],[0,1,0],[0,0,1]];
+    if (n === 0) return { R: identity, t: [0,0,0], rmsd: 0, count: 0, degenerate: true, planar: false };
+
+    const cA = centroid(pointsA);
+    const cB = centroid(pointsB);
+
+    const A = pointsA.map(p => [p[0]-cA[0], p[1]-cA[1], p[2]-cA[2]]);
+    const B = pointsB.map(p => [p[0]-cB[0], p[1]-cB[1], p[2]-cB[2]]);
+
+    // Covariance matrix H = A^T * B
+    const H = Array.from({ length: 3 }, () => [0,0,0]);
+    for (let i = 0; i < n; i++) {
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) {
+                H[r][c] += A[i][r] * B[i][c];
+            }
+        }
+    }
+
+    // SVD of H = U * S * V^T
+    const { U, S, V } = svd3x3(H);
+
+    // Rotation R = V * D * U^T, with D flipping the weakest axis if that
+    // would otherwise produce a reflection
+    const VUt = multiplyMatrices(V, transpose(U));
+    const d = determinant(VUt) < 0 ? -1 : 1;
+    const R = multiplyMatrices(multiplyMatrices(V, [[1,0,0],[0,1,0],[0,0,d]]), transpose(U));
+
+    // Translation t = cB - R * cA
+    const RcA = multiplyMatrixVec(R, cA);
+    const t = [cB[0]-RcA[0], cB[1]-RcA[1], cB[2]-RcA[2]];
+
+    // Spread of the source points decides how well the rotation is pinned down
+    const spread = eigenSymmetric(multiplyMatrices(transpose(A), A)).eigenvalues;
+    const tol = SINGULAR_TOL * (spread[0] || 1);
+    const degenerate = n < 3 || spread[1] <= tol;
+    const planar = !degenerate && spread[2] <= tol;
+
+    return { R, t, rmsd: rmsd(applyTransform(pointsA, R, t), pointsB), count: n, degenerate, planar };
+}
+
+/**
+ * Unit vector perpendicular to v
+ */
+function perpendicular(v) {
+    const axis = Math.abs(v[0]) < 0.9 ? [1,0,0] : [0,1,0];
+    return normalize(cross(v, axis));
+}
+
+/**
+ * Exact 3×3 SVD: V and S from the eigen-decomposition of M^T M, U from
+ * M V S^-1. Directions with (near-)zero singular values are completed to a
+ * right-handed orthonormal basis so planar and collinear inputs stay valid.
+ */
+function svd3x3(M) {
+    const { eigenvectors, eigenvalues } = eigenSymmetric(multiplyMatrices(transpose(M), M));
+    const S = eigenvalues.map(v => Math.sqrt(Math.max(v, 0)));
+    const tol = SINGULAR_TOL * (S[0] || 1);
+
+    const u = [];
+    for (let i = 0; i < 3; i++) {
+        if (S[i] > tol) {
+            u.push(normalize(multiplyMatrixVec(M, eigenvectors[i])));
+        } else if (i === 0) {
+            u.push([1,0,0]);
+        } else if (i === 1) {
+            u.push(perpendicular(u[0]));
+        } else {
+            u.push(cross(u[0], u[1]));
+        }
+    }
+
+    // Singular vectors are stored as columns
+    return { U: transpose(u), S, V: transpose(eigenvectors) };
+}
+
+/**
+ * Eigen-decomposition of a real symmetric matrix by cyclic Jacobi sweeps,
+ * run until the off-diagonal part vanishes. Deterministic; eigenvalues are
+ * returned in descending order with matching unit eigenvectors.
+ */
+export function eigenSymmetric(M) {
+    const n = M.length;
+    const A = M.map(r => [...r]);
+    const V = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+    let scale = 0;
+    for (let i = 0; i < n; i++)
+        for (let j = 0; j < n; j++)
+            scale += A[i][j] * A[i][j];
+
+    for (let sweep = 0; sweep < 64; sweep++) {
+        let off = 0;
+        for (let p = 0; p < n; p++)
+            for (let q = p + 1; q < n; q++)
+                off += A[p][q] * A[p][q];
+        if (off <= 1e-30 * scale || off === 0) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (A[p][q] === 0) continue;
+                const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+                const tan = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(tan * tan + 1);
+                const s = tan * c;
+                for (let k = 0; k < n; k++) {
+                    const akp = A[k][p], akq = A[k][q];
+                    A[k][p] = c * akp - s * akq;
+                    A[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = A[p][k], aqk = A[q][k];
+                    A[p][k] = c * apk - s * aqk;
+                    A[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = V[k][p], vkq = V[k][q];
+                    V[k][p] = c * vkp - s * vkq;
+                    V[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    const order = [...Array(n).keys()].sort((a, b) => A[b][b] - A[a][a]);
+    return {
+        eigenvalues: order.map(i => A[i][i]),
+        eigenvectors: order.map(i => V.map(row => row[i])),
+    };
+}
+
+function multiplyMatrices(A, B) {
+    const res = Array.from({ length: A.length }, () => Array(B[0].length).fill(0));
+    for (let i = 0; i < A.length; i++)
+        for (let j = 0; j < B[0].length; j++)
+            for (let k = 0; k < B.length; k++)
+                res[i][j] += A[i][k] * B[k][j];
+    return res;
+}
+
+export function transpose(A) {
+    return A[0].map((_, c) => A.map(r => r[c]));
+}
+
+export function multiplyMatrixVec(M, v) {
+    return [M[0][0]*v[0]+M[0][1]*v[1]+M[0][2]*v[2],
+        M[1][0]*v[0]+M[1][1]*v[1]+M[1][2]*v[2],
+        M[2][0]*v[0]+M[2][1]*v[1]+M[2][2]*v[2]];
+}
+
+function cross(a,b){ return [a[1]*b[2]-a[2]*b[1], a[2]*b[0]-a[0]*b[2], a[0]*b[1]-a[1]*b[0]]; }
+
+function normalize(v) {
+    const len = Math.hypot(v[0], v[1], v[2]);
+    return len > 0 ? v.map(x => x / len) : v;
+}
+
+function determinant(M) {
+    return M[0][0]*(M[1][1]*M[2][2]-M[1][2]*M[2][1]) -
+        M[0][1]*(M[1][0]*M[2][2]-M[1][2]*M[2][0]) +
+        M[0][2]*(M[1][0]*M[2][1]-M[1][1]*M[2][0]);
+}
+
+/**
+ * Apply x' = R x + t to every point
+ */
+export function applyTransform(points, R, t) {
+    return points.map(p => {
+        const r = multiplyMatrixVec(R, p);
+        return [r[0] + t[0], r[1] + t[1], r[2] + t[2]];
+    });
+}
+
+/**
+ * Root-mean-square distance between paired points
+ */
+export function rmsd(pointsA, pointsB) {
+    const n = pointsA.length;
+    if (n === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+        const dx = pointsA[i][0] - pointsB[i][0];
+        const dy = pointsA[i][1] - pointsB[i][1];
+        const dz = pointsA[i][2] - pointsB[i][2];
+        sum += dx * dx + dy * dy + dz * dz;
+    }
+    return Math.sqrt(sum / n);
+}
@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { ELEMENTS } from './elements.js';
+import { loadConformers, loadMolecule, superimposeMolecule } from './molecule.js';
+import { buildConformerSequence, buildMorphSequence } from './sequence.js';
+import {
+    MoleculeSourceError,
+    createCachedResolver,
+    createChainResolver,
+    createFileResolver,
+    createLocalDirectoryResolver,
+    createPubChemResolver,
+} from './sources.js';
+import { WRITE_FORMATS, writeMolecules } from './writers.js';
+
+/**
+ * Command-line entry point: the same loading, mapping and alignment as the
+ * web demo, for scripts and batch jobs. Inputs are structure file paths or
+ * compound identifiers; files are tried first, then `--dir`, then PubChem.
+ */
+
+const USAGE = `Usage: pubchemtest <command> [options] <input...>
+
+Commands:
+  fetch <input...>          Write the structures (SDF by default)
+  align <input> <input...>  Superpose the inputs in order and write them as one
+                            multi-record file; the mapping/RMSD report goes to stderr
+  map <input> <reference>   Print the atom correspondence as JSON (0-based indexes)
+  info <input...>           Print formula, masses, rings and other descriptors
+
+Inputs are file paths (.sdf, .mol, .xyz, .pdb, .cif) or identifiers such as
+"caffeine", "cid:2519" or "smiles:CCO".
+
+Options:
+  -o, --output <file>       Write to a file instead of stdout
+  -f, --format <format>     Output format: ${WRITE_FORMATS.join(', ')} (default sdf)
+      --frame <frame>       align: 'aligned' (default) or 'source' coordinates
+      --align <mode>        align: 'previous' (default) or 'reference'
+      --reference <n>       align: 0-based index of the reference input (default 0)
+      --conformers <n>      fetch/align: up to n conformers of a single input
+      --hydrogens <mode>    Keep 'all' (default), 'polar' or 'none' hydrogens
+      --add-hydrogens       Add hydrogens missing from the input first
+      --tolerance <Å>       Bond perception tolerance (default 0.45)
+      --dir <dir>           Also look for <identifier>.<ext> files in dir
+      --offline             Do not query PubChem
+      --first               Take the first PubChem match for ambiguous names
+      --json                info: print JSON instead of text
+  -h, --help                Show this help
+`;
+
+const OPTIONS = {
+    output: { type: 'string', short: 'o' },
+    format: { type: 'string', short: 'f', default: 'sdf' },
+    frame: { type: 'string', default: 'aligned' },
+    align: { type: 'string', default: 'previous' },
+    reference: { type: 'string', default: '0' },
+    conformers: { type: 'string' },
+    hydrogens: { type: 'string', default: 'all' },
+    'add-hydrogens': { type: 'boolean', default: false },
+    tolerance: { type: 'string', default: '0.45' },
+    dir: { type: 'string' },
+    offline: { type: 'boolean', default: false },
+    first: { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Error in the command line itself; reported with the usage hint
+ */
+class UsageError extends Error {}
+
+function number(value, name, { integer = false, min = 0 } = {}) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < min || (integer && !Number.isInteger(n))) {
+        throw new UsageError(`Invalid --${name} "${value}"`);
+    }
+    return n;
+}
+
+function resolverFor(values) {
+    const resolvers = [createFileResolver()];
+    if (values.dir) resolvers.push(createLocalDirectoryResolver(values.dir));
+    if (!values.offline) {
+        resolvers.push(createCachedResolver(createPubChemResolver({ ambiguity: values.first ? 'first' : 'error' })));
+    }
+    return createChainResolver(resolvers);
+}
+
+/**
+ * Options shared by every command, in the form loadMolecule takes them
+ */
+function loadOptions(values) {
+    return {
+        resolver: resolverFor(values),
+        tolerance: number(values.tolerance, 'tolerance'),
+        hydrogens: values.hydrogens,
+        addHydrogens: values['add-hydrogens'],
+        conformers: values.conformers === undefined ? undefined : number(values.conformers, 'conformers', { integer: true, min: 1 }),
+    };
+}
+
+async function output(text, values) {
+    if (values.output) await writeFile(values.output, text, 'utf8');
+    else process.stdout.write(text);
+}
+
+function writeOptions(values) {
+    if (!WRITE_FORMATS.includes(values.format)) throw new UsageError(`Unknown --format "${values.format}"`);
+    if (values.frame !== 'aligned' && values.frame !== 'source') throw new UsageError(`Unknown --frame "${values.frame}"`);
+    return { frame: values.frame };
+}
+
+function describeMolecule(mol) {
+    return mol.name || String(mol.identifier);
+}
+
+async function fetchCommand(inputs, values) {
+    const options = loadOptions(values);
+    const write = writeOptions(values);
+    if (inputs.length === 0) throw new UsageError('fetch needs at least one input');
+    const molecules = [];
+    for (const input of inputs) {
+        if (options.conformers) molecules.push(...await loadConformers(input, options));
+        else molecules.push(await loadMolecule(input, options));
+    }
+    await output(writeMolecules(molecules, values.format, write), values);
+}
+
+async function alignCommand(inputs, values) {
+    const options = loadOptions(values);
+    const write = writeOptions(values);
+    if (values.align !== 'previous' && values.align !== 'reference') throw new UsageError(`Unknown --align "${values.align}"`);
+    const sequenceOptions = {
+        ...options,
+        align: values.align,
+        reference: number(values.reference, 'reference', { integer: true }),
+        normalize: 'none',
+    };
+
+    let result;
+    if (options.conformers) {
+        if (inputs.length !== 1) throw new UsageError('align --conformers takes a single input');
+        result = await buildConformerSequence(inputs[0], sequenceOptions);
+    } else {
+        if (inputs.length < 2) throw new UsageError('align needs at least two inputs');
+        result = await buildMorphSequence(inputs, sequenceOptions);
+    }
+
+    const { molecules, items } = result;
+    for (const [index, item] of items.entries()) {
+        const mol = item.molecule;
+        if (item.status === 'error') {
+            console.error(`${index}  ${item.identifier}  failed: ${item.error.message}`);
+        } else if (!mol.atomMapping) {
+            console.error(`${index}  ${describeMolecule(mol)}  ${mol.atoms.length} atoms  reference`);
+        } else {
+            const matched = mol.atomMapping.filter(j => j !== -1).length;
+            const rmsd = mol.rmsd == null ? 'n/a' : `${mol.rmsd.toFixed(3)} Å`;
+            console.error(
+                `${index}  ${describeMolecule(mol)}  ${matched}/${mol.atoms.length} atoms matched` +
+                `  score ${mol.mappingScore.toFixed(3)}  RMSD ${rmsd}`
+            );
+        }
+    }
+    if (molecules.length === 0) throw new Error('No input could be loaded');
+    await output(writeMolecules(molecules, values.format, write), values);
+    if (molecules.length < items.length) process.exitCode = 1;
+}
+
+async function mapCommand(inputs, values) {
+    const options = loadOptions(values);
+    if (inputs.length !== 2) throw new UsageError('map takes exactly two inputs');
+    const [mol, reference] = await Promise.all(inputs.map(input => loadMolecule(input, options)));
+    const fit = superimposeMolecule(mol, reference, options);
+    const summary = m => ({ identifier: m.identifier, name: m.name || null, formula: m.descriptors.formula, atoms: m.atoms.length });
+    const report = {
+        molecule: summary(mol),
+        reference: summary(reference),
+        score: fit.mappingScore,
+        matchedAtoms: fit.atomMapping.filter(j => j !== -1).length,
+        matchedBonds: fit.matchedBonds,
+        rmsd: fit.rmsd,
+        mapping: fit.atomMapping.map((j, i) => ({
+            atom: i,
+            element: ELEMENTS[mol.elementIndexes[i]],
+            partner: j === -1 ? null : j,
+            partnerElement: j === -1 ? null : ELEMENTS[reference.elementIndexes[j]],
+        })),
+    };
+    await output(`${JSON.stringify(report, null, 2)}\n`, values);
+}
+
+function infoRecord(mol) {
+    const d = mol.descriptors;
+    return {
+        identifier: mol.identifier,
+        name: mol.name || null,
+        cid: mol.cid,
+        atoms: mol.atoms.length,
+        bonds: mol.bonds.length,
+        formula: d.formula,
+        exactMass: d.exactMass,
+        averageMass: d.averageMass,
+        formalCharge: d.formalCharge,
+        rings: d.rings,
+        aromaticRings: d.rings.filter(ring => ring.every(a => d.aromaticAtoms[a])).length,
+        hybridization: d.hybridization,
+        stereocentres: d.stereocentres.map(({ atom, label }) => ({ atom, label })),
+    };
+}
+
+function formatInfo(info) {
+    const counts = {};
+    for (const h of info.hybridization) if (h) counts[h] = (counts[h] || 0) + 1;
+    const charge = info.formalCharge > 0 ? `+${info.formalCharge}` : String(info.formalCharge);
+    const stereo = info.stereocentres.length === 0
+        ? 'none'
+        : info.stereocentres.map(s => `${s.atom + 1}${s.label ? ` (${s.label})` : ''}`).join(', ');
+    return [
+        info.name || info.identifier,
+        ...(info.cid != null ? [`  CID            ${info.cid}`] : []),
+        `  Atoms/bonds    ${info.atoms}/${info.bonds}`,
+        `  Formula        ${info.formula}`,
+        `  Exact mass     ${info.exactMass.toFixed(4)} Da`,
+        `  Average mass   ${info.averageMass.toFixed(3)} g/mol`,
+        `  Formal charge  ${charge}`,
+        `  Rings          ${info.rings.length} (${info.aromaticRings} aromatic)`,
+        `  Hybridization  ${['sp3', 'sp2', 'sp'].filter(h => counts[h]).map(h => `${counts[h]} ${h}`).join(', ') || '-'}`,
+        `  Stereocentres  ${stereo}`,
+    ].join('\n');
+}
+
+async function infoCommand(inputs, values) {
+    const options = loadOptions(values);
+    if (inputs.length === 0) throw new UsageError('info needs at least one input');
+    const infos = [];
+    for (const input of inputs) infos.push(infoRecord(await loadMolecule(input, options)));
+    const text = values.json
+        ? JSON.stringify(infos.length === 1 ? infos[0] : infos, null, 2)
+        : infos.map(formatInfo).join('\n\n');
+    await output(`${text}\n`, values);
+}
+
+const COMMANDS = { fetch: fetchCommand, align: alignCommand, map: mapCommand, info: infoCommand };
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...inputs] = positionals;
+    if (values.help || !command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    const run = COMMANDS[command];
+    if (!run) throw new UsageError(`Unknown command "${command}"`);
+    await run(inputs, values);
+}
+
+main(process.argv.slice(2)).catch(err => {
+    if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || err.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+        console.error(`pubchemtest: ${err.message}\nRun "pubchemtest --help" for usage.`);
+        process.exitCode = 2;
+        return;
+    }
+    console.error(`pubchemtest: ${err.message}`);
+    if (err instanceof MoleculeSourceError && err.candidates) {
+        for (const c of err.candidates) console.error(`  cid:${c.cid}  ${c.title ?? ''}  ${c.formula ?? ''}`);
+    }
+    process.exitCode = 1;
+});
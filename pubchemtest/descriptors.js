@@ -0,0 +1,409 @@
+import { ELEMENTS, ELEMENT_DATA } from './elements.js';
+import { neighbourList, smallestSetOfSmallestRings } from './graph.js';
+
+/**
+ * Descriptors computed from the molecular graph: formula, masses, charge,
+ * rings, aromaticity, hybridization and stereocentres.
+ *
+ * Molecules are `{ atoms, elementIndexes, bonds }` with optional `charges`
+ * and `isotopes` arrays (0 = none). Bond types follow the MDL convention:
+ * 1–3 single to triple, 4 aromatic.
+ */
+
+const symbolOf = e => ELEMENTS[e];
+
+/**
+ * Allowed neutral valences, lowest first; atoms not listed get no implicit
+ * hydrogens
+ */
+const ALLOWED_VALENCES = {
+    H: [1], B: [3], C: [4], N: [3, 5], O: [2], F: [1], Si: [4], P: [3, 5],
+    S: [2, 4, 6], Cl: [1, 3, 5, 7], Se: [2, 4, 6], Br: [1, 3, 5, 7], I: [1, 3, 5, 7],
+};
+
+/**
+ * Valences adjusted for formal charge: carbon loses one per unit of
+ * charge either way, boron gains one per negative charge, and the
+ * pnictogens, chalcogens and halogens gain one per positive charge
+ * (N+ → 4, O- → 1)
+ */
+function valencesFor(symbol, charge) {
+    const base = ALLOWED_VALENCES[symbol];
+    if (!base) return null;
+    if (symbol === 'C' || symbol === 'Si') return base.map(v => v - Math.abs(charge));
+    if (symbol === 'B') return base.map(v => v - charge);
+    return base.map(v => v + charge);
+}
+
+/**
+ * Sum of bond orders per atom, aromatic bonds counted as single
+ */
+function singleBondValence(mol) {
+    const single = new Float64Array(mol.elementIndexes.length);
+    mol.bonds.forEach(b => {
+        const order = b.type === 4 ? 1 : b.type;
+        single[b.from] += order;
+        single[b.to] += order;
+    });
+    return single;
+}
+
+const LONE_PAIR_DONORS = new Set(['N', 'P', 'O', 'S', 'Se']);
+const KEKULE_STEPS = 100000;
+
+/**
+ * Atoms given a double bond by a Kekulé structure of the aromatic (type 4)
+ * bonds. Atoms with no lone pair to spare must get one; neutral N, P and
+ * chalcogens may instead donate a lone pair (pyrrole [nH], furan) and are
+ * only paired when their neighbours need them. Returns a flag per atom,
+ * or null when there are no aromatic bonds or no structure is found.
+ */
+function kekuleDoubleBonds(mol) {
+    const { elementIndexes, bonds, charges = [] } = mol;
+    const n = elementIndexes.length;
+    const partners = Array.from({ length: n }, () => []);
+    bonds.forEach(b => {
+        if (b.type !== 4) return;
+        partners[b.from].push(b.to);
+        partners[b.to].push(b.from);
+    });
+    const aromatic = partners.map(p => p.length > 0);
+    if (!aromatic.includes(true)) return null;
+
+    // Free valence with aromatic bonds counted as single
+    const single = singleBondValence(mol);
+    const room = elementIndexes.map((e, i) => {
+        const valences = valencesFor(symbolOf(e), charges[i] ?? 0);
+        return valences ? (valences.find(v => v >= single[i]) ?? single[i]) - single[i] : 0;
+    });
+    const optional = elementIndexes.map((e, i) =>
+        LONE_PAIR_DONORS.has(symbolOf(e)) && (charges[i] ?? 0) <= 0);
+    const candidate = aromatic.map((a, i) => a && room[i] >= 1);
+    const required = [];
+    for (let i = 0; i < n; i++) if (candidate[i] && !optional[i]) required.push(i);
+
+    const paired = new Array(n).fill(false);
+    let steps = 0;
+    const assign = k => {
+        while (k < required.length && paired[required[k]]) k++;
+        if (k === required.length) return true;
+        if (++steps > KEKULE_STEPS) return false;
+        const i = required[k];
+        // Required partners first, so donors stay unpaired where possible
+        const options = partners[i].filter(j => candidate[j] && !paired[j])
+            .sort((x, y) => optional[x] - optional[y]);
+        for (const j of options) {
+            paired[i] = paired[j] = true;
+            if (assign(k + 1)) return true;
+            paired[i] = paired[j] = false;
+        }
+        return false;
+    };
+    return assign(0) ? paired : null;
+}
+
+/**
+ * Hydrogens implied by the usual valence of each atom, given its explicit
+ * bonds (explicit hydrogen atoms included). Aromatic bonds are read through
+ * a Kekulé structure so that pyrrole-type nitrogens keep their hydrogen;
+ * if none is found they count 1.5 each.
+ */
+export function implicitHydrogenCounts(mol) {
+    const { elementIndexes, bonds, charges = [] } = mol;
+    const doubled = kekuleDoubleBonds(mol);
+    const single = singleBondValence(mol);
+    const aromaticCount = new Float64Array(elementIndexes.length);
+    bonds.forEach(b => {
+        if (b.type !== 4) return;
+        aromaticCount[b.from]++;
+        aromaticCount[b.to]++;
+    });
+    const used = Array.from(single, (bonded, i) => {
+        if (!aromaticCount[i]) return bonded;
+        if (doubled) return bonded + (doubled[i] ? 1 : 0);
+        return Math.round(bonded + 0.5 * aromaticCount[i]);
+    });
+
+    return elementIndexes.map((e, i) => {
+        const v = valencesFor(symbolOf(e), charges[i] ?? 0);
+        if (!v) return 0;
+        const target = v.find(t => t >= used[i]);
+        return target === undefined ? 0 : Math.max(0, target - used[i]);
+    });
+}
+
+function elementCounts(mol, implicitH) {
+    const counts = new Map();
+    const add = (symbol, k) => counts.set(symbol, (counts.get(symbol) ?? 0) + k);
+    mol.elementIndexes.forEach((e, i) => {
+        add(symbolOf(e), 1);
+        if (implicitH[i]) add('H', implicitH[i]);
+    });
+    return counts;
+}
+
+/**
+ * Molecular formula in Hill order (C, H, then alphabetical; alphabetical
+ * throughout without carbon) with the net charge appended, e.g. "C2H3O2-"
+ */
+export function molecularFormula(mol, implicitH = implicitHydrogenCounts(mol)) {
+    const counts = elementCounts(mol, implicitH);
+    const symbols = [...counts.keys()].sort();
+    const order = counts.has('C')
+        ? ['C', ...(counts.has('H') ? ['H'] : []), ...symbols.filter(s => s !== 'C' && s !== 'H')]
+        : symbols;
+    const charge = (mol.charges ?? []).reduce((sum, c) => sum + (c ?? 0), 0);
+    const suffix = charge === 0 ? '' : `${Math.abs(charge) > 1 ? Math.abs(charge) : ''}${charge > 0 ? '+' : '-'}`;
+    return order.map(s => (counts.get(s) > 1 ? `${s}${counts.get(s)}` : s)).join('') + suffix;
+}
+
+/**
+ * Average and monoisotopic masses (Da). Atoms labelled with an isotope use
+ * its mass number shifted by the element's mass defect.
+ */
+export function molecularMass(mol, implicitH = implicitHydrogenCounts(mol)) {
+    const { elementIndexes, isotopes = [] } = mol;
+    const hydrogen = ELEMENT_DATA[ELEMENTS.indexOf('H')];
+    let average = 0;
+    let exact = 0;
+    elementIndexes.forEach((e, i) => {
+        const data = ELEMENT_DATA[e];
+        const isotope = isotopes[i] ?? 0;
+        if (isotope) {
+            const mass = isotope + (data.monoisotopicMass - Math.round(data.monoisotopicMass));
+            average += mass;
+            exact += mass;
+        } else {
+            average += data.mass;
+            exact += data.monoisotopicMass;
+        }
+        average += implicitH[i] * hydrogen.mass;
+        exact += implicitH[i] * hydrogen.monoisotopicMass;
+    });
+    return { average, exact };
+}
+
+/**
+ * π electrons atom `i` contributes to a ring, or null when it cannot be
+ * aromatic. Double bonds to other ring atoms (`ringAtoms`) count one;
+ * exocyclic C=O style bonds count none. Aromatic bonds count as a double
+ * bond only for atoms paired in the Kekulé structure (`doubled`), so
+ * pyrrole-type lone-pair donors fall through to the rules below.
+ */
+function piElectrons(i, mol, nbrs, implicitH, ringAtoms, doubled) {
+    const { elementIndexes, bonds, charges = [] } = mol;
+    const symbol = symbolOf(elementIndexes[i]);
+    const charge = charges[i] ?? 0;
+    const degree = nbrs[i].length + implicitH[i];
+
+    let ringDouble = false;
+    let exoDouble = null;
+    for (const { atom, bond } of nbrs[i]) {
+        const type = bonds[bond].type;
+        if (type === 4 && (!doubled || doubled[i])) ringDouble = true;
+        if (type !== 2) continue;
+        if (ringAtoms.has(atom)) ringDouble = true;
+        else exoDouble = symbolOf(elementIndexes[atom]);
+    }
+    if (ringDouble) return 1;
+    if (exoDouble) return ['O', 'N', 'S'].includes(exoDouble) ? 0 : null;
+
+    if (['N', 'P'].includes(symbol) && charge === 0 && degree === 3) return 2;
+    if (['O', 'S', 'Se'].includes(symbol) && charge === 0 && degree === 2) return 2;
+    if (symbol === 'N' && charge === -1 && degree === 2) return 2;
+    if (symbol === 'C' && charge === -1 && degree === 3) return 2;
+    if (symbol === 'C' && charge === 1 && degree === 3) return 0;
+    if (symbol === 'B' && charge === 0 && degree === 3) return 0;
+    return null;
+}
+
+/**
+ * Hückel aromaticity over SSSR rings, then over pairs of fused rings so
+ * systems such as azulene whose rings fail on their own are found too.
+ * Returns per-atom and per-bond flags.
+ */
+export function perceiveAromaticity(mol, rings = smallestSetOfSmallestRings(mol.bonds, mol.atoms.length),
+    implicitH = implicitHydrogenCounts(mol)) {
+    const n = mol.atoms.length;
+    const nbrs = neighbourList(mol.bonds, n);
+    const aromaticAtoms = new Array(n).fill(false);
+    const aromaticBonds = new Array(mol.bonds.length).fill(false);
+    const inAnyRing = new Set(rings.flat());
+    const doubled = kekuleDoubleBonds(mol);
+
+    const huckel = atoms => {
+        const set = new Set(atoms);
+        let electrons = 0;
+        for (const a of set) {
+            const e = piElectrons(a, mol, nbrs, implicitH, inAnyRing, doubled);
+            if (e === null) return false;
+            electrons += e;
+        }
+        return electrons % 4 === 2;
+    };
+    // Bonds of each ring, so fused pairs only take bonds that lie on a ring
+    const edges = rings.map(ring => ring.map((a, k) => {
+        const b = ring[(k + 1) % ring.length];
+        return nbrs[a].find(x => x.atom === b).bond;
+    }));
+    const mark = (atoms, bonds) => {
+        atoms.forEach(a => { aromaticAtoms[a] = true; });
+        bonds.forEach(b => { aromaticBonds[b] = true; });
+    };
+
+    const aromaticRing = rings.map(ring => huckel(ring));
+    rings.forEach((ring, r) => { if (aromaticRing[r]) mark(ring, edges[r]); });
+
+    for (let r = 0; r < rings.length; r++) {
+        for (let q = r + 1; q < rings.length; q++) {
+            if (aromaticRing[r] && aromaticRing[q]) continue;
+            const shared = edges[r].filter(b => edges[q].includes(b));
+            if (shared.length !== 1) continue;
+            const union = [...new Set([...rings[r], ...rings[q]])];
+            if (huckel(union)) mark(union, [...edges[r], ...edges[q]]);
+        }
+    }
+    return { aromaticAtoms, aromaticBonds };
+}
+
+/**
+ * 'sp', 'sp2' or 'sp3' per atom from bond orders and aromaticity; null for
+ * hydrogen and atoms outside the main-group elements listed in
+ * ALLOWED_VALENCES. Lone-pair nitrogens and oxygens next to a π system are
+ * counted as conjugated (sp2), as in amides and anilines.
+ */
+export function hybridization(mol, aromaticAtoms, implicitH = implicitHydrogenCounts(mol)) {
+    const n = mol.atoms.length;
+    const nbrs = neighbourList(mol.bonds, n);
+    const raw = mol.elementIndexes.map((e, i) => {
+        const symbol = symbolOf(e);
+        if (symbol === 'H' || !ALLOWED_VALENCES[symbol]) return null;
+        let doubles = 0;
+        let triples = 0;
+        for (const { bond } of nbrs[i]) {
+            const type = mol.bonds[bond].type;
+            if (type === 2) doubles++;
+            if (type === 3) triples++;
+        }
+        const degree = nbrs[i].length + implicitH[i];
+        if (triples > 0 || doubles > 1) return degree <= 2 ? 'sp' : degree === 3 ? 'sp2' : 'sp3';
+        if (doubles === 1 || aromaticAtoms[i]) return 'sp2';
+        return 'sp3';
+    });
+    return raw.map((h, i) => {
+        if (h !== 'sp3' || !['N', 'O'].includes(symbolOf(mol.elementIndexes[i]))) return h;
+        if (nbrs[i].length + implicitH[i] > 3) return h;
+        return nbrs[i].some(({ atom }) => raw[atom] === 'sp2' || raw[atom] === 'sp') ? 'sp2' : h;
+    });
+}
+
+/**
+ * Approximate CIP rank key of the branch entered from `centre` through
+ * `start`: atomic numbers sphere by sphere (duplicated along multiple
+ * bonds), highest first. Branches are explored as a tree without
+ * revisiting atoms on the current path, up to `MAX_SPHERES`.
+ */
+const MAX_SPHERES = 8;
+
+function branchKey(mol, nbrs, implicitH, centre, start) {
+    const number = i => ELEMENT_DATA[mol.elementIndexes[i]].number;
+    const key = [[number(start)]];
+    let frontier = [{ atom: start, parent: centre, path: [centre, start] }];
+    for (let sphere = 1; sphere < MAX_SPHERES && frontier.length; sphere++) {
+        const values = [];
+        const next = [];
+        for (const { atom, parent, path } of frontier) {
+            for (const { atom: other, bond } of nbrs[atom]) {
+                const type = mol.bonds[bond].type;
+                const copies = type === 2 ? 2 : type === 3 ? 3 : 1;
+                // Multiple bonds add duplicate atoms; so does closing a ring
+                for (let c = 1; c < copies; c++) values.push(number(other));
+                if (other === parent) continue;
+                values.push(number(other));
+                if (!path.includes(other)) next.push({ atom: other, parent: atom, path: [...path, other] });
+            }
+            for (let h = 0; h < implicitH[atom]; h++) values.push(1);
+        }
+        values.sort((a, b) => b - a);
+        key.push(values);
+        frontier = next.slice(0, 4096);
+    }
+    return key;
+}
+
+function compareKeys(a, b) {
+    for (let s = 0; s < Math.max(a.length, b.length); s++) {
+        const x = a[s] ?? [], y = b[s] ?? [];
+        for (let k = 0; k < Math.max(x.length, y.length); k++) {
+            const d = (x[k] ?? 0) - (y[k] ?? 0);
+            if (d !== 0) return d;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Tetrahedral stereocentres: sp3 atoms with four substituents (implicit
+ * hydrogen counted) of pairwise different rank. `label` is 'R' or 'S' from
+ * the 3D coordinates, or null for flat input. Ranking approximates the CIP
+ * rules by atomic number only, so isotopes and unlike-ligand rules are not
+ * applied.
+ */
+export function findStereocentres(mol, hybrid, implicitH = implicitHydrogenCounts(mol)) {
+    const n = mol.atoms.length;
+    const nbrs = neighbourList(mol.bonds, n);
+    const flat = mol.atoms.every(p => Math.abs(p[2] - mol.atoms[0][2]) < 1e-4);
+    const result = [];
+    for (let i = 0; i < n; i++) {
+        if (hybrid[i] !== 'sp3' || nbrs[i].length + implicitH[i] !== 4 || implicitH[i] > 1) continue;
+        const ranked = nbrs[i]
+            .map(({ atom }) => ({ atom, key: branchKey(mol, nbrs, implicitH, i, atom) }));
+        if (implicitH[i] === 1) ranked.push({ atom: -1, key: [[1]] });
+        ranked.sort((a, b) => compareKeys(b.key, a.key));
+        if (ranked.some((r, k) => k > 0 && compareKeys(ranked[k - 1].key, r.key) === 0)) continue;
+
+        let label = null;
+        if (!flat) {
+            // Orientation of the tetrahedron lowest → first, second, third:
+            // negative is clockwise seen with the lowest pointing away. An
+            // implicit hydrogen sits opposite the other three.
+            const c = mol.atoms[i];
+            const [a, b, d] = ranked.slice(0, 3).map(r => mol.atoms[r.atom].map((v, k) => v - c[k]));
+            const low = ranked[3].atom >= 0
+                ? mol.atoms[ranked[3].atom].map((v, k) => v - c[k])
+                : [0, 1, 2].map(k => -(a[k] + b[k] + d[k]));
+            const [u, v, w] = [a, b, d].map(p => p.map((x, k) => x - low[k]));
+            const volume = u[0] * (v[1] * w[2] - v[2] * w[1]) -
+                u[1] * (v[0] * w[2] - v[2] * w[0]) +
+                u[2] * (v[0] * w[1] - v[1] * w[0]);
+            label = volume < 0 ? 'R' : 'S';
+        }
+        result.push({ atom: i, label, substituents: ranked.map(r => r.atom) });
+    }
+    return result;
+}
+
+/**
+ * All descriptors at once: `{ formula, exactMass, averageMass,
+ * formalCharge, rings, aromaticAtoms, aromaticBonds, hybridization,
+ * stereocentres, implicitHydrogens }`
+ */
+export function computeDescriptors(mol) {
+    const implicitH = implicitHydrogenCounts(mol);
+    const rings = smallestSetOfSmallestRings(mol.bonds, mol.atoms.length);
+    const { aromaticAtoms, aromaticBonds } = perceiveAromaticity(mol, rings, implicitH);
+    const hybrid = hybridization(mol, aromaticAtoms, implicitH);
+    const { average, exact } = molecularMass(mol, implicitH);
+    return {
+        formula: molecularFormula(mol, implicitH),
+        exactMass: exact,
+        averageMass: average,
+        formalCharge: (mol.charges ?? []).reduce((sum, c) => sum + (c ?? 0), 0),
+        rings,
+        aromaticAtoms,
+        aromaticBonds,
+        hybridization: hybrid,
+        stereocentres: findStereocentres(mol, hybrid, implicitH),
+        implicitHydrogens: implicitH,
+    };
+}
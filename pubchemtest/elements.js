@@ -0,0 +1,194 @@
+/**
+ * Periodic table data shared by the library and the viewer.
+ *
+ * Rows are [symbol, name, standard atomic weight, covalent radius (Å),
+ * van der Waals radius (Å), Jmol colour]. Covalent radii follow Cordero
+ * et al. (2008) up to Cm and Pyykkö's single-bond radii beyond; van der
+ * Waals radii are Bondi's where known and 2.0 Å otherwise. Synthetic
+ * elements use the mass number of their longest-lived isotope.
+ */
+const TABLE = [
+    ["H", "Hydrogen", 1.008, 0.31, 1.20, 0xffffff],
+    ["He", "Helium", 4.0026, 0.28, 1.40, 0xd9ffff],
+    ["Li", "Lithium", 6.94, 1.28, 1.82, 0xcc80ff],
+    ["Be", "Beryllium", 9.0122, 0.96, 1.53, 0xc2ff00],
+    ["B", "Boron", 10.81, 0.84, 1.92, 0xffb5b5],
+    ["C", "Carbon", 12.011, 0.76, 1.70, 0x909090],
+    ["N", "Nitrogen", 14.007, 0.71, 1.55, 0x3050f8],
+    ["O", "Oxygen", 15.999, 0.66, 1.52, 0xff0d0d],
+    ["F", "Fluorine", 18.998, 0.57, 1.47, 0x90e050],
+    ["Ne", "Neon", 20.180, 0.58, 1.54, 0xb3e3f5],
+    ["Na", "Sodium", 22.990, 1.66, 2.27, 0xab5cf2],
+    ["Mg", "Magnesium", 24.305, 1.41, 1.73, 0x8aff00],
+    ["Al", "Aluminium", 26.982, 1.21, 1.84, 0xbfa6a6],
+    ["Si", "Silicon", 28.085, 1.11, 2.10, 0xf0c8a0],
+    ["P", "Phosphorus", 30.974, 1.07, 1.80, 0xff8000],
+    ["S", "Sulfur", 32.06, 1.05, 1.80, 0xffff30],
+    ["Cl", "Chlorine", 35.45, 1.02, 1.75, 0x1ff01f],
+    ["Ar", "Argon", 39.948, 1.06, 1.88, 0x80d1e3],
+    ["K", "Potassium", 39.098, 2.03, 2.75, 0x8f40d4],
+    ["Ca", "Calcium", 40.078, 1.76, 2.31, 0x3dff00],
+    ["Sc", "Scandium", 44.956, 1.70, 2.30, 0xe6e6e6],
+    ["Ti", "Titanium", 47.867, 1.60, 2.15, 0xbfc2c7],
+    ["V", "Vanadium", 50.942, 1.53, 2.05, 0xa6a6ab],
+    ["Cr", "Chromium", 51.996, 1.39, 2.05, 0x8a99c7],
+    ["Mn", "Manganese", 54.938, 1.39, 2.05, 0x9c7ac7],
+    ["Fe", "Iron", 55.845, 1.32, 2.05, 0xe06633],
+    ["Co", "Cobalt", 58.933, 1.26, 2.00, 0xf090a0],
+    ["Ni", "Nickel", 58.693, 1.24, 1.63, 0x50d050],
+    ["Cu", "Copper", 63.546, 1.32, 1.40, 0xc88033],
+    ["Zn", "Zinc", 65.38, 1.22, 1.39, 0x7d80b0],
+    ["Ga", "Gallium", 69.723, 1.22, 1.87, 0xc28f8f],
+    ["Ge", "Germanium", 72.630, 1.20, 2.11, 0x668f8f],
+    ["As", "Arsenic", 74.922, 1.19, 1.85, 0xbd80e3],
+    ["Se", "Selenium", 78.971, 1.20, 1.90, 0xffa100],
+    ["Br", "Bromine", 79.904, 1.20, 1.85, 0xa62929],
+    ["Kr", "Krypton", 83.798, 1.16, 2.02, 0x5cb8d1],
+    ["Rb", "Rubidium", 85.468, 2.20, 3.03, 0x702eb0],
+    ["Sr", "Strontium", 87.62, 1.95, 2.49, 0x00ff00],
+    ["Y", "Yttrium", 88.906, 1.90, 2.40, 0x94ffff],
+    ["Zr", "Zirconium", 91.224, 1.75, 2.30, 0x94e0e0],
+    ["Nb", "Niobium", 92.906, 1.64, 2.15, 0x73c2c9],
+    ["Mo", "Molybdenum", 95.95, 1.54, 2.10, 0x54b5b5],
+    ["Tc", "Technetium", 98, 1.47, 2.05, 0x3b9e9e],
+    ["Ru", "Ruthenium", 101.07, 1.46, 2.05, 0x248f8f],
+    ["Rh", "Rhodium", 102.91, 1.42, 2.00, 0x0a7d8c],
+    ["Pd", "Palladium", 106.42, 1.39, 1.63, 0x006985],
+    ["Ag", "Silver", 107.87, 1.45, 1.72, 0xc0c0c0],
+    ["Cd", "Cadmium", 112.41, 1.44, 1.58, 0xffd98f],
+    ["In", "Indium", 114.82, 1.42, 1.93, 0xa67573],
+    ["Sn", "Tin", 118.71, 1.39, 2.17, 0x668080],
+    ["Sb", "Antimony", 121.76, 1.39, 2.06, 0x9e63b5],
+    ["Te", "Tellurium", 127.60, 1.38, 2.06, 0xd47a00],
+    ["I", "Iodine", 126.90, 1.39, 1.98, 0x940094],
+    ["Xe", "Xenon", 131.29, 1.40, 2.16, 0x429eb0],
+    ["Cs", "Caesium", 132.91, 2.44, 3.43, 0x57178f],
+    ["Ba", "Barium", 137.33, 2.15, 2.68, 0x00c900],
+    ["La", "Lanthanum", 138.91, 2.07, 2.50, 0x70d4ff],
+    ["Ce", "Cerium", 140.12, 2.04, 2.48, 0xffffc7],
+    ["Pr", "Praseodymium", 140.91, 2.03, 2.47, 0xd9ffc7],
+    ["Nd", "Neodymium", 144.24, 2.01, 2.45, 0xc7ffc7],
+    ["Pm", "Promethium", 145, 1.99, 2.43, 0xa3ffc7],
+    ["Sm", "Samarium", 150.36, 1.98, 2.42, 0x8fffc7],
+    ["Eu", "Europium", 151.96, 1.98, 2.40, 0x61ffc7],
+    ["Gd", "Gadolinium", 157.25, 1.96, 2.38, 0x45ffc7],
+    ["Tb", "Terbium", 158.93, 1.94, 2.37, 0x30ffc7],
+    ["Dy", "Dysprosium", 162.50, 1.92, 2.35, 0x1fffc7],
+    ["Ho", "Holmium", 164.93, 1.92, 2.33, 0x00ff9c],
+    ["Er", "Erbium", 167.26, 1.89, 2.32, 0x00e675],
+    ["Tm", "Thulium", 168.93, 1.90, 2.30, 0x00d452],
+    ["Yb", "Ytterbium", 173.05, 1.87, 2.28, 0x00bf38],
+    ["Lu", "Lutetium", 174.97, 1.87, 2.27, 0x00ab24],
+    ["Hf", "Hafnium", 178.49, 1.75, 2.25, 0x4dc2ff],
+    ["Ta", "Tantalum", 180.95, 1.70, 2.20, 0x4da6ff],
+    ["W", "Tungsten", 183.84, 1.62, 2.10, 0x2194d6],
+    ["Re", "Rhenium", 186.21, 1.51, 2.05, 0x267dab],
+    ["Os", "Osmium", 190.23, 1.44, 2.00, 0x266696],
+    ["Ir", "Iridium", 192.22, 1.41, 2.00, 0x175487],
+    ["Pt", "Platinum", 195.08, 1.36, 1.75, 0xd0d0e0],
+    ["Au", "Gold", 196.97, 1.36, 1.66, 0xffd123],
+    ["Hg", "Mercury", 200.59, 1.32, 1.55, 0xb8b8d0],
+    ["Tl", "Thallium", 204.38, 1.45, 1.96, 0xa6544d],
+    ["Pb", "Lead", 207.2, 1.46, 2.02, 0x575961],
+    ["Bi", "Bismuth", 208.98, 1.48, 2.07, 0x9e4fb5],
+    ["Po", "Polonium", 209, 1.40, 1.97, 0xab5c00],
+    ["At", "Astatine", 210, 1.50, 2.02, 0x754f45],
+    ["Rn", "Radon", 222, 1.50, 2.20, 0x428296],
+    ["Fr", "Francium", 223, 2.60, 3.48, 0x420066],
+    ["Ra", "Radium", 226, 2.21, 2.83, 0x007d00],
+    ["Ac", "Actinium", 227, 2.15, 2.00, 0x70abfa],
+    ["Th", "Thorium", 232.04, 2.06, 2.40, 0x00baff],
+    ["Pa", "Protactinium", 231.04, 2.00, 2.00, 0x00a1ff],
+    ["U", "Uranium", 238.03, 1.96, 1.86, 0x008fff],
+    ["Np", "Neptunium", 237, 1.90, 2.00, 0x0080ff],
+    ["Pu", "Plutonium", 244, 1.87, 2.00, 0x006bff],
+    ["Am", "Americium", 243, 1.80, 2.00, 0x545cf2],
+    ["Cm", "Curium", 247, 1.69, 2.00, 0x785ce3],
+    ["Bk", "Berkelium", 247, 1.68, 2.00, 0x8a4fe3],
+    ["Cf", "Californium", 251, 1.68, 2.00, 0xa136d4],
+    ["Es", "Einsteinium", 252, 1.65, 2.00, 0xb31fd4],
+    ["Fm", "Fermium", 257, 1.67, 2.00, 0xb31fba],
+    ["Md", "Mendelevium", 258, 1.73, 2.00, 0xb30da6],
+    ["No", "Nobelium", 259, 1.76, 2.00, 0xbd0d87],
+    ["Lr", "Lawrencium", 266, 1.61, 2.00, 0xc70066],
+    ["Rf", "Rutherfordium", 267, 1.57, 2.00, 0xcc0059],
+    ["Db", "Dubnium", 268, 1.49, 2.00, 0xd1004f],
+    ["Sg", "Seaborgium", 269, 1.43, 2.00, 0xd90045],
+    ["Bh", "Bohrium", 270, 1.41, 2.00, 0xe00038],
+    ["Hs", "Hassium", 277, 1.34, 2.00, 0xe6002e],
+    ["Mt", "Meitnerium", 278, 1.29, 2.00, 0xeb0026],
+    ["Ds", "Darmstadtium", 281, 1.28, 2.00, 0xff1493],
+    ["Rg", "Roentgenium", 282, 1.21, 2.00, 0xff1493],
+    ["Cn", "Copernicium", 285, 1.22, 2.00, 0xff1493],
+    ["Nh", "Nihonium", 286, 1.36, 2.00, 0xff1493],
+    ["Fl", "Flerovium", 289, 1.43, 2.00, 0xff1493],
+    ["Mc", "Moscovium", 290, 1.62, 2.00, 0xff1493],
+    ["Lv", "Livermorium", 293, 1.75, 2.00, 0xff1493],
+    ["Ts", "Tennessine", 294, 1.65, 2.00, 0xff1493],
+    ["Og", "Oganesson", 294, 1.57, 2.00, 0xff1493],
+];
+
+/**
+ * Mass of the most abundant isotope, for exact (monoisotopic) masses.
+ * Elements without a stable isotope fall back to the table mass.
+ */
+const MONOISOTOPIC_MASS = {
+    H: 1.00782503, He: 4.00260325, Li: 7.01600344, Be: 9.01218307, B: 11.00930536,
+    C: 12, N: 14.00307401, O: 15.99491462, F: 18.99840316, Ne: 19.99244018,
+    Na: 22.98976928, Mg: 23.98504170, Al: 26.98153853, Si: 27.97692653, P: 30.97376200,
+    S: 31.97207117, Cl: 34.96885268, Ar: 39.96238312, K: 38.96370649, Ca: 39.96259086,
+    Sc: 44.95590828, Ti: 47.94794198, V: 50.94395704, Cr: 51.94050623, Mn: 54.93804391,
+    Fe: 55.93493633, Co: 58.93319429, Ni: 57.93534241, Cu: 62.92959772, Zn: 63.92914201,
+    Ga: 68.92557350, Ge: 73.92117776, As: 74.92159457, Se: 79.91652180, Br: 78.91833760,
+    Kr: 83.91149773, Rb: 84.91178974, Sr: 87.90561226, Y: 88.90584030, Zr: 89.90469760,
+    Nb: 92.90637300, Mo: 97.90540482, Ru: 101.90434930, Rh: 102.90549800, Pd: 105.90348040,
+    Ag: 106.90509160, Cd: 113.90336509, In: 114.90387878, Sn: 119.90220163, Sb: 120.90381200,
+    Te: 129.90622275, I: 126.90447190, Xe: 131.90415509, Cs: 132.90545196, Ba: 137.90524700,
+    La: 138.90635630, Ce: 139.90544310, Pr: 140.90765760, Nd: 141.90772900, Sm: 151.91973970,
+    Eu: 152.92123800, Gd: 157.92411230, Tb: 158.92535470, Dy: 163.92918190, Ho: 164.93032880,
+    Er: 165.93029950, Tm: 168.93421790, Yb: 173.93886640, Lu: 174.94077520, Hf: 179.94655700,
+    Ta: 180.94799580, W: 183.95093092, Re: 186.95575010, Os: 191.96147700, Ir: 192.96292160,
+    Pt: 194.96479170, Au: 196.96656879, Hg: 201.97064340, Tl: 204.97442700, Pb: 207.97665250,
+    Bi: 208.98039910, Th: 232.03805580, U: 238.05078840,
+};
+
+/**
+ * Properties of every element, indexed like ELEMENTS; the last entry is the
+ * "Unknown" placeholder used for unrecognised symbols
+ */
+export const ELEMENT_DATA = [
+    ...TABLE.map(([symbol, name, mass, covalentRadius, vdwRadius, color], i) => ({
+        symbol, name, number: i + 1, mass, monoisotopicMass: MONOISOTOPIC_MASS[symbol] ?? mass,
+        covalentRadius, vdwRadius, color,
+    })),
+    {
+        symbol: "Unknown", name: "Unknown", number: 0, mass: 0, monoisotopicMass: 0,
+        covalentRadius: 0.75, vdwRadius: 1.5, color: 0x888888,
+    },
+];
+
+/**
+ * Global element array (all 118 symbols by atomic number, then "Unknown"),
+ * so `elementIndexes` values are atomic number - 1
+ */
+export const ELEMENTS = ELEMENT_DATA.map(e => e.symbol);
+
+export const UNKNOWN_ELEMENT = ELEMENTS.length - 1;
+
+const BY_SYMBOL = new Map(ELEMENTS.map((s, i) => [s.toLowerCase(), i]));
+
+/**
+ * Index into ELEMENTS for a symbol, case-insensitively ("CL" and "cl" are
+ * chlorine); unrecognised symbols map to UNKNOWN_ELEMENT
+ */
+export function elementIndex(symbol) {
+    return BY_SYMBOL.get(String(symbol ?? '').trim().toLowerCase()) ?? UNKNOWN_ELEMENT;
+}
+
+/**
+ * ELEMENT_DATA entry for an element index or symbol
+ */
+export function elementData(indexOrSymbol) {
+    const idx = typeof indexOrSymbol === 'number' ? indexOrSymbol : elementIndex(indexOrSymbol);
+    return ELEMENT_DATA[idx] ?? ELEMENT_DATA[UNKNOWN_ELEMENT];
+}
@@ -0,0 +1,266 @@
+import { ELEMENTS } from './elements.js';
+import { MoleculeParseError, createAtom, parseSdf, splitLines } from './sdf.js';
+
+/**
+ * Readers for coordinate formats without (complete) bond tables: XYZ, PDB
+ * and mmCIF. They return records shaped like parseSdf's, with `bonds` empty
+ * unless the file lists them (PDB CONECT).
+ */
+
+export const FORMATS = ['sdf', 'xyz', 'pdb', 'cif'];
+
+function record(name, version, atoms, bonds = [], data = {}) {
+    return { name, program: '', comment: '', version, atoms, bonds, chiral: false, data };
+}
+
+/**
+ * Parse an XYZ file; consecutive frames become separate records
+ */
+export function parseXyz(text) {
+    const lines = splitLines(text);
+    const records = [];
+    let i = 0;
+    while (i < lines.length) {
+        if (lines[i].trim() === '') {
+            i++;
+            continue;
+        }
+        const count = Number(lines[i].trim());
+        if (!Number.isInteger(count) || count < 0) {
+            throw new MoleculeParseError(`Expected an atom count, got "${lines[i].trim()}"`, i + 1);
+        }
+        const comment = (lines[i + 1] ?? '').trim();
+        const atoms = [];
+        for (let k = 0; k < count; k++) {
+            const lineNo = i + 3 + k;
+            const line = lines[i + 2 + k];
+            if (line === undefined) {
+                throw new MoleculeParseError(`Expected ${count} atoms, file ends after ${k}`, lineNo - 1);
+            }
+            const [element, ...coords] = line.trim().split(/\s+/);
+            const xyz = coords.slice(0, 3).map(Number);
+            if (xyz.length < 3 || xyz.some(v => !Number.isFinite(v))) {
+                throw new MoleculeParseError(`Invalid XYZ atom line "${line.trim()}"`, lineNo);
+            }
+            // Some writers use atomic numbers instead of symbols
+            const symbol = /^\d+$/.test(element) ? ELEMENTS[Number(element) - 1] ?? element : element;
+            atoms.push(createAtom(symbol, ...xyz));
+        }
+        records.push(record(comment, 'xyz', atoms));
+        i += 2 + count;
+    }
+    return records;
+}
+
+function pdbCharge(raw) {
+    const m = raw.trim().match(/^(\d)([+-])$/);
+    return m ? Number(m[1]) * (m[2] === '-' ? -1 : 1) : 0;
+}
+
+/**
+ * Element symbol for a PDB atom: columns 77-78, else read from the atom name.
+ * Symbols are right-justified in columns 13-14, so " CA " is carbon and
+ * "CA  " calcium; a letter in column 13 starts a two-letter element unless
+ * it is a four-character hydrogen name such as "HD21".
+ */
+function pdbElement(line) {
+    const explicit = line.substr(76, 2).trim();
+    if (explicit) return explicit.charAt(0) + explicit.slice(1).toLowerCase();
+    const name = line.substr(12, 4).padEnd(4);
+    const first = name.charAt(0), second = name.charAt(1);
+    if (/[A-Za-z]/.test(first) && /[A-Za-z]/.test(second)) {
+        const symbol = first.toUpperCase() + second.toLowerCase();
+        const hydrogenName = first.toUpperCase() === 'H' && name.trim().length === 4;
+        if (ELEMENTS.includes(symbol) && !hydrogenName) return symbol;
+        return first.toUpperCase();
+    }
+    // Column 13 blank or a digit (" CA ", "1HG1"): the element is column 14
+    return (/[A-Za-z]/.test(second) ? second : name.trim().replace(/[^A-Za-z]/g, '').charAt(0)).toUpperCase();
+}
+
+const WATER = new Set(['HOH', 'WAT', 'H2O', 'DOD']);
+
+function keepAtom(group, residue, { records = 'all', residue: only = null, skipWater = true }) {
+    if (records === 'hetatm' && group !== 'HETATM') return false;
+    if (records === 'atom' && group !== 'ATOM') return false;
+    if (only && residue !== only) return false;
+    if (skipWater && WATER.has(residue)) return false;
+    return true;
+}
+
+/**
+ * Parse ATOM/HETATM records of a PDB file, one record per MODEL.
+ * Options: `records` ('all' | 'atom' | 'hetatm'), `residue` (keep only that
+ * residue name, e.g. 'HEM') and `skipWater` (default true). CONECT bonds are
+ * kept; a pair listed repeatedly is read as a multiple bond. CONECT records
+ * inside a MODEL apply to that model only.
+ */
+export function parsePdb(text, options = {}) {
+    const lines = splitLines(text);
+    const models = [];
+    let current = null;
+    let title = '';
+    const conect = [];
+
+    const startModel = () => {
+        current = { atoms: [], serials: new Map(), conect: [] };
+        models.push(current);
+    };
+
+    lines.forEach((line, idx) => {
+        const tag = line.substr(0, 6).trim();
+        if (tag === 'HEADER' || tag === 'TITLE') {
+            if (!title) title = line.substr(10).trim();
+        } else if (tag === 'MODEL') {
+            startModel();
+        } else if (tag === 'ATOM' || tag === 'HETATM') {
+            if (!current) startModel();
+            const residue = line.substr(17, 3).trim();
+            if (!keepAtom(tag, residue, options)) return;
+            const xyz = [line.substr(30, 8), line.substr(38, 8), line.substr(46, 8)].map(Number);
+            if (xyz.some(v => !Number.isFinite(v))) {
+                throw new MoleculeParseError('Invalid PDB coordinates', idx + 1);
+            }
+            const atom = createAtom(pdbElement(line), ...xyz);
+            atom.charge = pdbCharge(line.substr(78, 2));
+            atom.name = line.substr(12, 4).trim();
+            atom.residue = residue;
+            atom.residueNumber = Number(line.substr(22, 4)) || 0;
+            atom.chain = line.substr(21, 1).trim();
+            current.serials.set(Number(line.substr(6, 5)), current.atoms.length);
+            current.atoms.push(atom);
+        } else if (tag === 'ENDMDL') {
+            current = null;
+        } else if (tag === 'CONECT') {
+            const from = Number(line.substr(6, 5));
+            // Inside MODEL/ENDMDL the bonds belong to that model, else to all
+            for (let c = 11; c < 31; c += 5) {
+                const to = Number(line.substr(c, 5));
+                if (to) (current?.conect ?? conect).push([from, to]);
+            }
+        }
+    });
+
+    return models.filter(m => m.atoms.length > 0).map(m => {
+        // Bonds are usually listed from both ends, so count each direction
+        // separately and take the larger count as the order
+        const counts = new Map();
+        for (const [a, b] of [...conect, ...m.conect]) {
+            const i = m.serials.get(a), j = m.serials.get(b);
+            if (i === undefined || j === undefined || i === j) continue;
+            const key = `${Math.min(i, j)},${Math.max(i, j)}`;
+            const entry = counts.get(key) ?? [0, 0];
+            entry[i < j ? 0 : 1]++;
+            counts.set(key, entry);
+        }
+        const bonds = [...counts].map(([key, [up, down]]) => {
+            const [from, to] = key.split(',').map(Number);
+            return { from, to, type: Math.min(Math.max(up, down), 3) };
+        });
+        return record(title, 'pdb', m.atoms, bonds);
+    });
+}
+
+/**
+ * Split mmCIF data into tokens, honouring '...' / "..." quoting
+ */
+function cifTokens(line) {
+    const tokens = [];
+    const re = /'([^']*)'(?=\s|$)|"([^"]*)"(?=\s|$)|(\S+)/g;
+    let m;
+    while ((m = re.exec(line))) tokens.push(m[1] ?? m[2] ?? m[3]);
+    return tokens;
+}
+
+/**
+ * Parse the `_atom_site` loop of an mmCIF file, one record per model.
+ * Takes the same filtering options as parsePdb.
+ */
+export function parseMmcif(text, options = {}) {
+    const lines = splitLines(text);
+    const title = (lines.find(l => l.startsWith('data_')) ?? '').slice(5).trim();
+
+    let i = lines.findIndex((l, k) => l.trim() === 'loop_' && (lines[k + 1] ?? '').startsWith('_atom_site.'));
+    if (i === -1) throw new MoleculeParseError('No _atom_site loop in mmCIF data');
+
+    const columns = [];
+    i++;
+    while (i < lines.length && lines[i].startsWith('_atom_site.')) {
+        columns.push(lines[i].trim().slice('_atom_site.'.length));
+        i++;
+    }
+    const col = name => columns.indexOf(name);
+    const need = ['Cartn_x', 'Cartn_y', 'Cartn_z', 'type_symbol'];
+    for (const name of need) {
+        if (col(name) === -1) throw new MoleculeParseError(`_atom_site loop lacks ${name}`, i);
+    }
+
+    const values = [];
+    const valueLines = [];
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+        if (trimmed === 'loop_' || trimmed.startsWith('_') || trimmed.startsWith('data_') || trimmed === '#') break;
+        for (const t of cifTokens(line)) {
+            values.push(t);
+            valueLines.push(i + 1);
+        }
+    }
+    if (values.length % columns.length !== 0) {
+        throw new MoleculeParseError('Truncated _atom_site row', valueLines[valueLines.length - 1]);
+    }
+
+    const models = new Map();
+    for (let r = 0; r < values.length; r += columns.length) {
+        const row = columns.map((_, c) => values[r + c]);
+        const get = name => (col(name) === -1 ? null : row[col(name)]);
+        const group = get('group_PDB') ?? 'HETATM';
+        const residue = get('label_comp_id') ?? get('auth_comp_id') ?? '';
+        if (!keepAtom(group, residue, options)) continue;
+
+        const xyz = ['Cartn_x', 'Cartn_y', 'Cartn_z'].map(c => Number(get(c)));
+        if (xyz.some(v => !Number.isFinite(v))) {
+            throw new MoleculeParseError('Invalid mmCIF coordinates', valueLines[r]);
+        }
+        const symbol = get('type_symbol');
+        const atom = createAtom(symbol.charAt(0) + symbol.slice(1).toLowerCase(), ...xyz);
+        const charge = Number(get('pdbx_formal_charge'));
+        atom.charge = Number.isInteger(charge) ? charge : 0;
+        atom.name = get('label_atom_id') ?? '';
+        atom.residue = residue;
+        atom.chain = get('auth_asym_id') ?? get('label_asym_id') ?? '';
+
+        const model = get('pdbx_PDB_model_num') ?? '1';
+        if (!models.has(model)) models.set(model, []);
+        models.get(model).push(atom);
+    }
+
+    return [...models.values()].map(atoms => record(title, 'cif', atoms));
+}
+
+/**
+ * Guess the format of structure text: 'sdf', 'xyz', 'pdb' or 'cif'
+ */
+export function detectFormat(text) {
+    const head = String(text).slice(0, 4096);
+    if (/^data_/m.test(head) && /_atom_site\./.test(text)) return 'cif';
+    if (/^M {2}END/m.test(text) || /V[23]000/.test(head)) return 'sdf';
+    if (/^(ATOM {2}|HETATM)/m.test(head)) return 'pdb';
+    if (/^\s*\d+\s*$/m.test(head.split(/\r?\n/)[0])) return 'xyz';
+    return 'sdf';
+}
+
+/**
+ * Parse structure text in any supported format (auto-detected when
+ * `format` is omitted); returns the list of records
+ */
+export function parseMolecule(text, format = null, options = {}) {
+    switch (format ?? detectFormat(text)) {
+        case 'xyz': return parseXyz(text);
+        case 'pdb': return parsePdb(text, options);
+        case 'cif': return parseMmcif(text, options);
+        case 'sdf':
+        case 'mol': return parseSdf(text);
+        default: throw new MoleculeParseError(`Unsupported format "${format}"`);
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * Molecular graph helpers shared by mapping and perception code
+ */
+
+/**
+ * Compute adjacency lists for a molecule
+ */
+export function adjacency(bonds, n) {
+    const adj = Array.from({ length: n }, () => new Set());
+    bonds.forEach(b => {
+        adj[b.from].add(b.to);
+        adj[b.to].add(b.from);
+    });
+    return adj;
+}
+
+/**
+ * Per-atom lists of `{ atom, bond }` (neighbour index and bond index)
+ */
+export function neighbourList(bonds, n) {
+    const nbrs = Array.from({ length: n }, () => []);
+    bonds.forEach((b, i) => {
+        nbrs[b.from].push({ atom: b.to, bond: i });
+        nbrs[b.to].push({ atom: b.from, bond: i });
+    });
+    return nbrs;
+}
+
+/**
+ * Flag each bond that lies on a ring, i.e. every bond that is not a bridge
+ * (iterative Tarjan low-link so large molecules cannot overflow the stack)
+ */
+export function ringBondFlags(bonds, n) {
+    const nbrs = neighbourList(bonds, n);
+    const inRing = bonds.map(() => true);
+    const disc = new Int32Array(n).fill(-1);
+    const low = new Int32Array(n);
+    let time = 0;
+
+    for (let root = 0; root < n; root++) {
+        if (disc[root] !== -1) continue;
+        disc[root] = low[root] = time++;
+        const stack = [{ atom: root, parentBond: -1, next: 0 }];
+        while (stack.length) {
+            const frame = stack[stack.length - 1];
+            const list = nbrs[frame.atom];
+            if (frame.next < list.length) {
+                const { atom, bond } = list[frame.next++];
+                if (bond === frame.parentBond) continue;
+                if (disc[atom] === -1) {
+                    disc[atom] = low[atom] = time++;
+                    stack.push({ atom, parentBond: bond, next: 0 });
+                } else {
+                    low[frame.atom] = Math.min(low[frame.atom], disc[atom]);
+                }
+            } else {
+                stack.pop();
+                if (stack.length) {
+                    const parent = stack[stack.length - 1].atom;
+                    low[parent] = Math.min(low[parent], low[frame.atom]);
+                    if (low[frame.atom] > disc[parent]) inRing[frame.parentBond] = false;
+                }
+            }
+        }
+    }
+    return inRing;
+}
+
+/**
+ * Smallest set of smallest rings, as lists of atom indexes in ring order.
+ *
+ * Each ring system (connected set of ring bonds) is handled on its own:
+ * Horton's candidate cycles (shortest path v→x, bond x–y, shortest path
+ * y→v) are taken shortest first and kept when linearly independent over
+ * GF(2) of the ones already chosen, until the system's cycle rank is
+ * reached.
+ */
+export function smallestSetOfSmallestRings(bonds, n) {
+    const inRing = ringBondFlags(bonds, n);
+    const ringBonds = bonds.map((b, i) => ({ ...b, index: i })).filter(b => inRing[b.index]);
+    const nbrs = Array.from({ length: n }, () => []);
+    ringBonds.forEach(b => {
+        nbrs[b.from].push({ atom: b.to, bond: b.index });
+        nbrs[b.to].push({ atom: b.from, bond: b.index });
+    });
+
+    // Ring systems: connected components of the ring-bond graph
+    const system = new Int32Array(n).fill(-1);
+    const systems = [];
+    for (let root = 0; root < n; root++) {
+        if (system[root] !== -1 || nbrs[root].length === 0) continue;
+        const atoms = [root];
+        system[root] = systems.length;
+        for (let k = 0; k < atoms.length; k++) {
+            for (const { atom } of nbrs[atoms[k]]) {
+                if (system[atom] === -1) {
+                    system[atom] = systems.length;
+                    atoms.push(atom);
+                }
+            }
+        }
+        systems.push(atoms);
+    }
+
+    const rings = [];
+    systems.forEach((atoms, s) => {
+        const edges = ringBonds.filter(b => system[b.from] === s);
+        const rank = edges.length - atoms.length + 1;
+        const edgeSlot = new Map(edges.map((b, k) => [b.index, k]));
+        const words = Math.ceil(edges.length / 32);
+
+        // Shortest-path trees from every atom of the system
+        const trees = new Map();
+        for (const v of atoms) {
+            const parent = new Map([[v, null]]);
+            const queue = [v];
+            for (let k = 0; k < queue.length; k++) {
+                const a = queue[k];
+                for (const { atom, bond } of nbrs[a]) {
+                    if (!parent.has(atom)) {
+                        parent.set(atom, { atom: a, bond });
+                        queue.push(atom);
+                    }
+                }
+            }
+            trees.set(v, parent);
+        }
+        const pathTo = (tree, target) => {
+            const atomsOnPath = [target];
+            const bondsOnPath = [];
+            for (let step = tree.get(target); step; step = tree.get(step.atom)) {
+                bondsOnPath.push(step.bond);
+                atomsOnPath.push(step.atom);
+            }
+            return { atoms: atomsOnPath, bonds: bondsOnPath };
+        };
+
+        const candidates = [];
+        const seen = new Set();
+        for (const v of atoms) {
+            const tree = trees.get(v);
+            for (const e of edges) {
+                const px = pathTo(tree, e.from);
+                const py = pathTo(tree, e.to);
+                if (px.bonds.includes(e.index) || py.bonds.includes(e.index)) continue;
+                // The two paths may only meet at v
+                const onX = new Set(px.atoms);
+                if (py.atoms.some(a => a !== v && onX.has(a))) continue;
+                const ringAtoms = [...px.atoms.reverse(), ...py.atoms.slice(0, -1)];
+                const key = [...ringAtoms].sort((a, b) => a - b).join(',');
+                if (seen.has(key)) continue;
+                seen.add(key);
+                const bits = new Uint32Array(words);
+                for (const bond of [...px.bonds, ...py.bonds, e.index]) {
+                    const k = edgeSlot.get(bond);
+                    bits[k >>> 5] |= 1 << (k & 31);
+                }
+                candidates.push({ atoms: ringAtoms, bits });
+            }
+        }
+        candidates.sort((a, b) => a.atoms.length - b.atoms.length);
+
+        // Gaussian elimination over GF(2): `basis` maps pivot bit -> row
+        const basis = new Map();
+        const found = [];
+        for (const c of candidates) {
+            if (found.length === rank) break;
+            const row = Uint32Array.from(c.bits);
+            for (;;) {
+                let pivot = -1;
+                for (let w = words - 1; w >= 0 && pivot === -1; w--) {
+                    if (row[w]) pivot = w * 32 + 31 - Math.clz32(row[w]);
+                }
+                if (pivot === -1) break;
+                const existing = basis.get(pivot);
+                if (!existing) {
+                    basis.set(pivot, row);
+                    found.push(c.atoms);
+                    break;
+                }
+                for (let w = 0; w < words; w++) row[w] ^= existing[w];
+            }
+        }
+        rings.push(...found);
+    });
+    return rings;
+}
@@ -0,0 +1,148 @@
+import { hybridization, implicitHydrogenCounts, perceiveAromaticity } from './descriptors.js';
+import { ELEMENTS, ELEMENT_DATA } from './elements.js';
+import { adjacency } from './graph.js';
+
+/**
+ * Hydrogen handling: dropping non-polar (or all) hydrogens and adding
+ * missing ones at idealised positions.
+ *
+ * Molecules are `{ atoms, elementIndexes, bonds, charges, isotopes }` with
+ * atoms in Ångströms.
+ */
+
+const HYDROGEN = ELEMENTS.indexOf('H');
+const CARBON = ELEMENTS.indexOf('C');
+
+export const HYDROGEN_MODES = ['all', 'polar', 'none'];
+
+/**
+ * Keep every hydrogen ('all'), only those on heteroatoms ('polar') or none.
+ * Returns a new molecule; `kept` lists the original index of each atom.
+ */
+export function filterHydrogens(mol, mode = 'all') {
+    if (!HYDROGEN_MODES.includes(mode)) throw new Error(`Unknown hydrogens mode "${mode}"`);
+    const n = mol.atoms.length;
+    if (mode === 'all') return { ...mol, kept: Array.from({ length: n }, (_, i) => i) };
+
+    const adj = adjacency(mol.bonds, n);
+    const keep = i => {
+        if (mol.elementIndexes[i] !== HYDROGEN) return true;
+        if (mode === 'none') return false;
+        // Polar: bonded to anything but carbon (O-H, N-H, S-H, ...)
+        return [...adj[i]].some(j => mol.elementIndexes[j] !== CARBON && mol.elementIndexes[j] !== HYDROGEN);
+    };
+
+    const kept = [];
+    const newIndex = new Int32Array(n).fill(-1);
+    for (let i = 0; i < n; i++) {
+        if (keep(i)) {
+            newIndex[i] = kept.length;
+            kept.push(i);
+        }
+    }
+    const pick = values => values && kept.map(i => values[i]);
+    return {
+        ...mol,
+        atoms: pick(mol.atoms),
+        elementIndexes: pick(mol.elementIndexes),
+        charges: pick(mol.charges),
+        isotopes: pick(mol.isotopes),
+        bonds: mol.bonds
+            .filter(b => newIndex[b.from] !== -1 && newIndex[b.to] !== -1)
+            .map(b => ({ ...b, from: newIndex[b.from], to: newIndex[b.to] })),
+        kept,
+    };
+}
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const unit = a => {
+    const len = Math.hypot(...a);
+    return len > 1e-9 ? scale(a, 1 / len) : null;
+};
+
+/**
+ * Any unit vector perpendicular to u
+ */
+function perpendicular(u) {
+    return unit(cross(u, Math.abs(u[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0]));
+}
+
+const IDEAL_ANGLE = { sp: Math.PI, sp2: (2 * Math.PI) / 3, sp3: Math.acos(-1 / 3) };
+
+/**
+ * Direction for one more substituent on an atom whose existing bonds point
+ * along `dirs` (unit vectors). `reference` is a vector used to fix the
+ * torsion when only one bond exists (the new atom goes trans to it).
+ */
+function nextDirection(dirs, hybrid, reference) {
+    if (dirs.length === 0) return [1, 0, 0];
+    const sum = dirs.reduce(add, [0, 0, 0]);
+    if (dirs.length >= 3 || hybrid === 'sp' || (hybrid === 'sp2' && dirs.length === 2)) {
+        return unit(scale(sum, -1)) ?? perpendicular(dirs[0]);
+    }
+    if (dirs.length === 1) {
+        const [u] = dirs;
+        const theta = IDEAL_ANGLE[hybrid] ?? IDEAL_ANGLE.sp3;
+        const ref = reference ? unit(sub(reference, scale(u, dot(reference, u)))) : null;
+        const w = ref ? scale(ref, -1) : perpendicular(u);
+        return unit(add(scale(u, Math.cos(theta)), scale(w, Math.sin(theta))));
+    }
+    // Two bonds, tetrahedral: out of their plane, opposite their bisector
+    const bisector = unit(scale(sum, -1)) ?? perpendicular(dirs[0]);
+    const normal = unit(cross(dirs[0], dirs[1])) ?? perpendicular(bisector);
+    const half = IDEAL_ANGLE.sp3 / 2;
+    return unit(add(scale(bisector, Math.cos(half)), scale(normal, Math.sin(half))));
+}
+
+/**
+ * Add the hydrogens implied by each atom's usual valence, placed at
+ * covalent bond length in tetrahedral, trigonal or linear directions
+ * according to the parent's hybridization. Returns a new molecule with the
+ * hydrogens appended after the existing atoms.
+ */
+export function addHydrogens(mol) {
+    const implicitH = implicitHydrogenCounts(mol);
+    if (implicitH.every(h => h === 0)) return mol;
+
+    const n = mol.atoms.length;
+    const { aromaticAtoms } = perceiveAromaticity(mol, undefined, implicitH);
+    const hybrid = hybridization(mol, aromaticAtoms, implicitH);
+    const adj = adjacency(mol.bonds, n);
+    const hRadius = ELEMENT_DATA[HYDROGEN].covalentRadius;
+
+    const atoms = [...mol.atoms];
+    const elementIndexes = [...mol.elementIndexes];
+    const charges = mol.charges && [...mol.charges];
+    const isotopes = mol.isotopes && [...mol.isotopes];
+    const bonds = [...mol.bonds];
+
+    for (let i = 0; i < n; i++) {
+        if (implicitH[i] === 0) continue;
+        const p = mol.atoms[i];
+        const length = ELEMENT_DATA[mol.elementIndexes[i]].covalentRadius + hRadius;
+        const dirs = [...adj[i]].map(j => unit(sub(mol.atoms[j], p))).filter(Boolean);
+
+        // A neighbour's other bond fixes the torsion (keeps sp2 groups planar)
+        let reference = null;
+        if (dirs.length === 1) {
+            const [j] = adj[i];
+            const k = [...adj[j]].find(x => x !== i);
+            if (k !== undefined) reference = sub(mol.atoms[k], mol.atoms[j]);
+        }
+
+        for (let h = 0; h < implicitH[i]; h++) {
+            const dir = nextDirection(dirs, hybrid[i] ?? 'sp3', reference);
+            dirs.push(dir);
+            bonds.push({ from: i, to: atoms.length, type: 1 });
+            atoms.push(add(p, scale(dir, length)));
+            elementIndexes.push(HYDROGEN);
+            charges?.push(0);
+            isotopes?.push(null);
+        }
+    }
+    return { ...mol, atoms, elementIndexes, charges, isotopes, bonds };
+}
@@ -0,0 +1,68 @@
+/**
+ * Typed compound identifiers: "cid:5280793", "smiles:CCO", "inchikey:...",
+ * "inchi:InChI=1S/...", "formula:C2H6O" or a plain name.
+ */
+
+export const IDENTIFIER_TYPES = ['name', 'cid', 'smiles', 'inchi', 'inchikey', 'formula'];
+
+const INCHIKEY_RE = /^[A-Z]{14}-[A-Z]{10}-[A-Z]$/;
+
+/**
+ * Parse an identifier string (or pass through an already-parsed one).
+ * Untyped input is sniffed: digits are CIDs, "InChI=" strings are InChIs,
+ * InChIKey-shaped strings are InChIKeys, anything else is a name.
+ */
+export function parseIdentifier(input) {
+    if (input && typeof input === 'object') return input;
+
+    const raw = String(input ?? '').trim();
+    if (!raw) throw new Error('Empty compound identifier');
+
+    const match = raw.match(/^([a-z]+):(.*)$/i);
+    if (match && IDENTIFIER_TYPES.includes(match[1].toLowerCase())) {
+        const type = match[1].toLowerCase();
+        const value = match[2].trim();
+        if (!value) throw new Error(`Empty ${type} in identifier "${raw}"`);
+        if (type === 'cid' && !/^\d+$/.test(value)) throw new Error(`Invalid CID "${value}"`);
+        return { type, value, raw };
+    }
+
+    if (/^\d+$/.test(raw)) return { type: 'cid', value: raw, raw };
+    if (/^InChI=/.test(raw)) return { type: 'inchi', value: raw, raw };
+    if (INCHIKEY_RE.test(raw)) return { type: 'inchikey', value: raw, raw };
+    return { type: 'name', value: raw, raw };
+}
+
+/**
+ * Canonical "type:value" string; names are written bare
+ */
+export function formatIdentifier(identifier) {
+    const { type, value } = parseIdentifier(identifier);
+    return type === 'name' ? value : `${type}:${value}`;
+}
+
+/**
+ * Stable lookup key: names are case-insensitive, everything else is not
+ */
+export function identifierKey(identifier) {
+    const { type, value } = parseIdentifier(identifier);
+    return `${type}:${type === 'name' ? value.toLowerCase() : value}`;
+}
+
+/**
+ * Split a ";"-separated list such as the `?compounds=` parameter.
+ * InChIs may contain ";" themselves, so after an InChI a new entry only
+ * starts at a piece carrying an explicit "type:" prefix.
+ */
+export function parseIdentifierList(text) {
+    const pieces = String(text ?? '').split(';');
+    const items = [];
+    for (const piece of pieces) {
+        const last = items[items.length - 1];
+        const lastIsInchi = last !== undefined && /^\s*(inchi:)?InChI=/i.test(last);
+        const typed = /^\s*[a-z]+:/i.test(piece) && IDENTIFIER_TYPES.includes(piece.trim().split(':')[0].toLowerCase());
+        if (lastIsInchi && !typed) items[items.length - 1] = `${last};${piece}`;
+        else items.push(piece);
+    }
+    return items.map(s => s.trim()).filter(Boolean);
+}
@@ -0,0 +1,532 @@
+import { ELEMENTS } from './elements.js';
+import { neighbourList, ringBondFlags } from './graph.js';
+import { minimizeMappingRmsd } from './symmetry.js';
+
+/**
+ * Maximum common substructure (McGregor-style maximum common edge subgraph)
+ * used to map the atoms of one molecule onto another.
+ */
+
+const HYDROGEN = ELEMENTS.indexOf('H');
+
+const DEFAULT_OPTIONS = {
+    bondOrder: true,
+    ringMembership: true,
+    maxSteps: 200000,
+    timeLimit: 1000,
+    symmetry: true,
+    maxAutomorphisms: 256,
+};
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Precompute neighbour lists, bond lookup and ring flags for one molecule
+ */
+function prepare(mol) {
+    const n = mol.atoms.length;
+    const elements = mol.elementIndexes;
+    const bonds = mol.bonds;
+    const bondAt = new Map();
+    bonds.forEach((b, i) => {
+        bondAt.set(b.from * n + b.to, i);
+        bondAt.set(b.to * n + b.from, i);
+    });
+    const heavy = [];
+    for (let i = 0; i < n; i++) if (elements[i] !== HYDROGEN) heavy.push(i);
+    return {
+        n,
+        elements,
+        bonds,
+        bondAt,
+        nbrs: neighbourList(bonds, n),
+        inRing: ringBondFlags(bonds, n),
+        // Hydrogen-only molecules (H2) are searched as a whole
+        core: heavy.length > 0 ? heavy : [...Array(n).keys()],
+    };
+}
+
+function bondBetween(G, a, b) {
+    const i = G.bondAt.get(a * G.n + b);
+    return i === undefined ? -1 : i;
+}
+
+function bondsCompatible(A, ia, B, ib, opts) {
+    if (opts.bondOrder && A.bonds[ia].type !== B.bonds[ib].type) return false;
+    if (opts.ringMembership && A.inRing[ia] !== B.inRing[ib]) return false;
+    return true;
+}
+
+/**
+ * Integer label per bond so the bound can count bonds of each kind
+ */
+function labelBonds(A, B, opts) {
+    const ids = new Map();
+    const label = (G, i) => {
+        const b = G.bonds[i];
+        const e1 = G.elements[b.from], e2 = G.elements[b.to];
+        const key = `${Math.min(e1, e2)}-${Math.max(e1, e2)}` +
+            `-${opts.bondOrder ? b.type : 0}-${opts.ringMembership && G.inRing[i] ? 1 : 0}`;
+        if (!ids.has(key)) ids.set(key, ids.size);
+        return ids.get(key);
+    };
+    const inCore = G => {
+        const core = new Uint8Array(G.n);
+        G.core.forEach(i => { core[i] = 1; });
+        return core;
+    };
+    const coreA = inCore(A), coreB = inCore(B);
+    const listA = A.bonds.map((b, i) => (coreA[b.from] && coreA[b.to] ? i : -1)).filter(i => i >= 0);
+    const listB = B.bonds.map((b, i) => (coreB[b.from] && coreB[b.to] ? i : -1)).filter(i => i >= 0);
+    return {
+        labelA: Int32Array.from(A.bonds.map((_, i) => label(A, i))),
+        labelB: Int32Array.from(B.bonds.map((_, i) => label(B, i))),
+        listA,
+        listB,
+        coreA,
+        coreB,
+        count: ids.size,
+    };
+}
+
+/**
+ * Breadth-first atom order over the core of A, starting each component at
+ * its highest-degree atom so constraints propagate early
+ */
+function searchOrder(A) {
+    const inCore = new Uint8Array(A.n);
+    A.core.forEach(i => { inCore[i] = 1; });
+    const seen = new Uint8Array(A.n);
+    const order = [];
+    const byDegree = [...A.core].sort((x, y) => A.nbrs[y].length - A.nbrs[x].length);
+    for (const root of byDegree) {
+        if (seen[root]) continue;
+        seen[root] = 1;
+        const queue = [root];
+        while (queue.length) {
+            const a = queue.shift();
+            order.push(a);
+            for (const { atom } of A.nbrs[a]) {
+                if (inCore[atom] && !seen[atom]) {
+                    seen[atom] = 1;
+                    queue.push(atom);
+                }
+            }
+        }
+    }
+    return order;
+}
+
+/**
+ * Morgan-style classes for the core atoms of A and B, numbered jointly so
+ * equal numbers mean equal invariants. Level 0 is the element, core degree
+ * and bond kinds; each further level adds the neighbours' classes, until
+ * the partition stops refining. Returns `{ levelsA, levelsB }`, one
+ * Int32Array per level (-1 outside the core).
+ */
+function atomInvariants(A, B, labels, opts) {
+    const bondKind = (G, i) => `${opts.bondOrder ? G.bonds[i].type : 0}${opts.ringMembership && G.inRing[i] ? 'r' : ''}`;
+    const coreNbrs = (G, core) => G.nbrs.map(list => list.filter(({ atom }) => core[atom]));
+    const nbrsA = coreNbrs(A, labels.coreA), nbrsB = coreNbrs(B, labels.coreB);
+
+    const number = (keysA, keysB) => {
+        const ids = new Map([...new Set([...keysA, ...keysB].filter(k => k !== null))].sort().map((k, i) => [k, i]));
+        const toIds = keys => Int32Array.from(keys, k => (k === null ? -1 : ids.get(k)));
+        return { a: toIds(keysA), b: toIds(keysB), classes: ids.size };
+    };
+    const initial = (G, core, nbrs) => Array.from({ length: G.n }, (_, i) => (core[i]
+        ? `${G.elements[i]}/${nbrs[i].map(({ bond }) => bondKind(G, bond)).sort().join(',')}`
+        : null));
+    const refine = (G, core, nbrs, prev) => Array.from({ length: G.n }, (_, i) => (core[i]
+        ? `${prev[i]}/${nbrs[i].map(({ atom, bond }) => `${bondKind(G, bond)}:${prev[atom]}`).sort().join(',')}`
+        : null));
+
+    let level = number(initial(A, labels.coreA, nbrsA), initial(B, labels.coreB, nbrsB));
+    const levelsA = [level.a], levelsB = [level.b];
+    for (let k = 0; k < A.n + B.n; k++) {
+        const next = number(refine(A, labels.coreA, nbrsA, level.a), refine(B, labels.coreB, nbrsB, level.b));
+        if (next.classes <= level.classes) break;
+        level = next;
+        levelsA.push(level.a);
+        levelsB.push(level.b);
+    }
+    return { levelsA, levelsB };
+}
+
+/**
+ * Number of invariant levels on which atom a of A and b of B agree
+ */
+function similarity(inv, a, b) {
+    let k = 0;
+    while (k < inv.levelsA.length && inv.levelsA[k][a] === inv.levelsB[k][b]) k++;
+    return k;
+}
+
+/**
+ * Full core isomorphism from A onto B, tried before the MCS search since
+ * identical or renumbered molecules are the common case. Partners must
+ * share the final invariant class. Returns the map, or null when the cores
+ * differ or the step budget runs out.
+ */
+function findIsomorphism(A, B, labels, inv, order, opts, budget) {
+    if (A.core.length !== B.core.length || labels.listA.length !== labels.listB.length) return null;
+    const finalA = inv.levelsA[inv.levelsA.length - 1], finalB = inv.levelsB[inv.levelsB.length - 1];
+    const sortedClasses = (core, classes) => core.map(i => classes[i]).sort((x, y) => x - y).join(',');
+    if (sortedClasses(A.core, finalA) !== sortedClasses(B.core, finalB)) return null;
+
+    const map = new Int32Array(A.n).fill(-1);
+    const usedB = new Uint8Array(B.n);
+    const mappedCoreNbrs = (G, i, isMapped) => G.nbrs[i].filter(({ atom }) => isMapped(atom)).length;
+
+    const consistent = (a, b) => {
+        for (const { atom, bond } of A.nbrs[a]) {
+            if (map[atom] < 0) continue;
+            const ib = bondBetween(B, b, map[atom]);
+            if (ib < 0 || !bondsCompatible(A, bond, B, ib, opts)) return false;
+        }
+        // No bond in B without a counterpart in A
+        return mappedCoreNbrs(A, a, x => map[x] >= 0) === mappedCoreNbrs(B, b, x => usedB[x] === 1);
+    };
+
+    const recurse = depth => {
+        if (depth === order.length) return true;
+        if (!budget.take()) return false;
+        const a = order[depth];
+        for (const b of B.core) {
+            if (usedB[b] || finalB[b] !== finalA[a] || !consistent(a, b)) continue;
+            map[a] = b;
+            usedB[b] = 1;
+            if (recurse(depth + 1)) return true;
+            usedB[b] = 0;
+            map[a] = -1;
+        }
+        return false;
+    };
+    return recurse(0) ? map : null;
+}
+
+/**
+ * Search step counter; `take()` is false once `maxSteps` steps or
+ * `timeLimit` ms are used up
+ */
+function createBudget(opts) {
+    const deadline = now() + opts.timeLimit;
+    const budget = {
+        steps: 0,
+        exhausted: false,
+        take() {
+            if (budget.exhausted) return false;
+            budget.steps++;
+            if (budget.steps > opts.maxSteps || ((budget.steps & 1023) === 0 && now() > deadline)) {
+                budget.exhausted = true;
+            }
+            return !budget.exhausted;
+        },
+    };
+    return budget;
+}
+
+/**
+ * Branch-and-bound search maximising the number of compatible matched bonds
+ * between the cores of A and B.
+ *
+ * An isomorphism is tried first. Otherwise the best of a greedy descent
+ * from every partner of the first atom seeds the bound, so the exact
+ * search only explores branches that can beat it. Partners are tried in
+ * order of bonds gained, then invariant similarity.
+ */
+function searchCore(A, B, opts) {
+    const order = searchOrder(A);
+    const labels = labelBonds(A, B, opts);
+    const inv = atomInvariants(A, B, labels, opts);
+    // The isomorphism check gets a tenth of the budget, so cores it cannot
+    // settle (highly symmetric, or alike but not identical) leave the rest
+    // to the MCS search
+    const isoBudget = createBudget({ maxSteps: opts.maxSteps / 10, timeLimit: opts.timeLimit / 10 });
+    const iso = findIsomorphism(A, B, labels, inv, order, opts, isoBudget);
+    if (iso) return { map: iso, steps: isoBudget.steps, complete: true };
+    const budget = createBudget(opts);
+
+    const map = new Int32Array(A.n).fill(-1); // -1 undecided, -2 left unmapped
+    const usedB = new Uint8Array(B.n);
+    const countA = new Int32Array(labels.count);
+    const countB = new Int32Array(labels.count);
+    const { coreA: inCoreA, coreB: inCoreB } = labels;
+
+    let best = { matched: -1, map: Int32Array.from(map) };
+    let matched = 0;
+
+    const preimage = new Int32Array(B.n).fill(-1);
+    const isOpenA = a => map[a] === -1 && inCoreA[a];
+    const isFreeB = b => !usedB[b] && inCoreB[b];
+
+    // Optimistic count of bonds that could still be matched. A half-mapped
+    // bond only counts if the mapped end still has a free partner on the
+    // other side to extend into.
+    const upperBound = () => {
+        countA.fill(0);
+        countB.fill(0);
+        for (const i of labels.listA) {
+            const { from, to } = A.bonds[i];
+            const mf = map[from], mt = map[to];
+            if (mf === -2 || mt === -2) continue;
+            if (mf >= 0 && mt >= 0) continue;
+            if (mf >= 0 && !B.nbrs[mf].some(x => isFreeB(x.atom))) continue;
+            if (mt >= 0 && !B.nbrs[mt].some(x => isFreeB(x.atom))) continue;
+            countA[labels.labelA[i]]++;
+        }
+        for (const i of labels.listB) {
+            const { from, to } = B.bonds[i];
+            if (usedB[from] && usedB[to]) continue;
+            if (usedB[from] && !A.nbrs[preimage[from]].some(x => isOpenA(x.atom))) continue;
+            if (usedB[to] && !A.nbrs[preimage[to]].some(x => isOpenA(x.atom))) continue;
+            countB[labels.labelB[i]]++;
+        }
+        let total = 0;
+        for (let l = 0; l < labels.count; l++) total += Math.min(countA[l], countB[l]);
+        return total;
+    };
+
+    const gainFor = (a, b) => {
+        let gain = 0;
+        for (const { atom, bond } of A.nbrs[a]) {
+            const m = map[atom];
+            if (m < 0) continue;
+            const ib = bondBetween(B, b, m);
+            if (ib >= 0 && bondsCompatible(A, bond, B, ib, opts)) gain++;
+        }
+        return gain;
+    };
+
+    const bySimilarity = (x, y) => y.gain - x.gain || y.similar - x.similar || x.degreeGap - y.degreeGap;
+    const byDegree = (x, y) => y.gain - x.gain || x.degreeGap - y.degreeGap || y.similar - x.similar;
+    const candidatesFor = (a, rank = bySimilarity) => {
+        const candidates = [];
+        for (const b of B.core) {
+            if (usedB[b] || B.elements[b] !== A.elements[a]) continue;
+            candidates.push({
+                b,
+                gain: gainFor(a, b),
+                similar: similarity(inv, a, b),
+                degreeGap: Math.abs(A.nbrs[a].length - B.nbrs[b].length),
+            });
+        }
+        return candidates.sort(rank);
+    };
+
+    const assign = (a, b, gain) => {
+        map[a] = b;
+        usedB[b] = 1;
+        preimage[b] = a;
+        matched += gain;
+    };
+    const unassign = (a, b, gain) => {
+        matched -= gain;
+        preimage[b] = -1;
+        usedB[b] = 0;
+        map[a] = -1;
+    };
+
+    const adjacentFor = a => c =>
+        A.nbrs[a].some(({ atom }) => map[atom] >= 0 && bondBetween(B, c.b, map[atom]) >= 0);
+
+    // Greedy descent with the first atom fixed to `root`: extend the match
+    // where possible, else follow a mismatched bond so the fragment carries
+    // on past it, else start a new fragment on the best-ranked partner.
+    // False once the budget runs out, leaving the descent unfinished.
+    const greedy = (root, rank) => {
+        const trail = [];
+        let finished = true;
+        for (const [depth, a] of order.entries()) {
+            if (!budget.take()) {
+                finished = false;
+                break;
+            }
+            const candidates = depth === 0 ? [{ b: root, gain: 0 }] : candidatesFor(a, rank);
+            const pick = candidates.find(c => c.gain > 0) ?? candidates.find(adjacentFor(a)) ?? candidates[0];
+            if (pick) {
+                assign(a, pick.b, pick.gain);
+                trail.push([a, pick.b, pick.gain]);
+            } else {
+                map[a] = -2;
+                trail.push([a, -1, 0]);
+            }
+        }
+        if (finished && matched > best.matched) best = { matched, map: Int32Array.from(map) };
+        for (const [a, b, gain] of trail.reverse()) {
+            if (b >= 0) unassign(a, b, gain);
+            else map[a] = -1;
+        }
+        return finished;
+    };
+
+    const recurse = depth => {
+        if (!budget.take()) return;
+        if (depth === order.length) {
+            if (matched > best.matched) best = { matched, map: Int32Array.from(map) };
+            return;
+        }
+        if (matched + upperBound() <= best.matched) return;
+
+        const a = order[depth];
+        const candidates = candidatesFor(a);
+
+        const tryMap = ({ b, gain }) => {
+            assign(a, b, gain);
+            recurse(depth + 1);
+            unassign(a, b, gain);
+        };
+
+        const skip = () => {
+            map[a] = -2;
+            recurse(depth + 1);
+            map[a] = -1;
+        };
+
+        // Partners that extend the match come first, then partners bonded to
+        // the match with a mismatched bond, then leaving the atom unmapped.
+        // Atoms that start a new fragment try every partner before skipping.
+        const touchesMatch = A.nbrs[a].some(({ atom }) => map[atom] >= 0);
+        const adjacent = adjacentFor(a);
+        for (const c of candidates) if (c.gain > 0) tryMap(c);
+        for (const c of candidates) if (c.gain === 0 && adjacent(c)) tryMap(c);
+        if (touchesMatch) skip();
+        for (const c of candidates) if (c.gain === 0 && !adjacent(c)) tryMap(c);
+        if (!touchesMatch) skip();
+    };
+
+    if (order.length > 0) {
+        // Invariants mislead where rings open or bonds change, so the
+        // descent is also run ranking partners by degree first
+        [bySimilarity, byDegree].every(rank => candidatesFor(order[0], rank).every(({ b }) => greedy(b, rank)));
+    }
+    recurse(0);
+    return { map: best.map, steps: isoBudget.steps + budget.steps, complete: !budget.exhausted };
+}
+
+/**
+ * Map leftover core atoms that sit next to the matched substructure, ignoring
+ * bond order and ring membership, so loosely related atoms still get partners
+ */
+function extendMapping(A, B, map, usedB) {
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const a of A.core) {
+            if (map[a] >= 0) continue;
+            let bestB = -1;
+            let bestScore = 0;
+            for (const b of B.core) {
+                if (usedB[b] || B.elements[b] !== A.elements[a]) continue;
+                let score = 0;
+                for (const { atom } of A.nbrs[a]) {
+                    if (map[atom] >= 0 && bondBetween(B, b, map[atom]) >= 0) score++;
+                }
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestB = b;
+                }
+            }
+            if (bestB !== -1) {
+                map[a] = bestB;
+                usedB[bestB] = 1;
+                changed = true;
+            }
+        }
+    }
+}
+
+/**
+ * Pair the hydrogens of each mapped heavy atom with those of its partner
+ */
+function mapHydrogens(A, B, map, usedB) {
+    for (const a of A.core) {
+        const b = map[a];
+        if (b < 0) continue;
+        const hA = A.nbrs[a].filter(x => A.elements[x.atom] === HYDROGEN && map[x.atom] < 0);
+        const hB = B.nbrs[b].filter(x => B.elements[x.atom] === HYDROGEN && !usedB[x.atom]);
+        for (let k = 0; k < Math.min(hA.length, hB.length); k++) {
+            map[hA[k].atom] = hB[k].atom;
+            usedB[hB[k].atom] = 1;
+        }
+    }
+}
+
+/**
+ * Bonds of A whose endpoints map onto a compatible bond of B, as
+ * `[bondIndexA, bondIndexB]` pairs
+ */
+function matchedBondsFor(A, B, mapping, opts) {
+    const pairs = [];
+    A.bonds.forEach((bond, ia) => {
+        const m1 = mapping[bond.from], m2 = mapping[bond.to];
+        if (m1 < 0 || m2 < 0) return;
+        const ib = bondBetween(B, m1, m2);
+        if (ib >= 0 && bondsCompatible(A, ia, B, ib, opts)) pairs.push([ia, ib]);
+    });
+    return pairs;
+}
+
+/**
+ * Atom mapping from molA onto molB via maximum common substructure.
+ *
+ * Heavy atoms are matched by an exact branch-and-bound search over bonds
+ * whose order and ring membership agree (`bondOrder`, `ringMembership`
+ * options), after checking for an isomorphism and seeding the bound with
+ * greedy matches. The search stops after `maxSteps` nodes or `timeLimit` ms
+ * and keeps the best mapping found so far (`complete` is then false). Remaining
+ * atoms adjacent to the match are then attached, and hydrogens follow their
+ * parent atoms. With `symmetry` on, equivalent atoms are then permuted to
+ * minimise the superposition RMSD (see symmetry.js).
+ *
+ * Returns `{ mapping, score, matchedBonds, rmsd, automorphisms, complete,
+ * steps }` where `mapping[i]` is the molB index for atom i of molA (or -1),
+ * `score` is the Tanimoto similarity of the matched bond sets and `rmsd` is
+ * the RMSD of the mapped atoms after superposition (null without symmetry
+ * or with fewer than three mapped atoms).
+ */
+export function computeAtomMapping(molA, molB, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const A = prepare(molA);
+    const B = prepare(molB);
+
+    // Searching from the smaller graph bounds better, so swap when B is
+    // smaller and invert the result
+    const swap = B.core.length < A.core.length ||
+        (B.core.length === A.core.length && B.bonds.length < A.bonds.length);
+    const search = swap ? searchCore(B, A, opts) : searchCore(A, B, opts);
+    const { steps, complete } = search;
+
+    const map = new Int32Array(A.n).fill(-1);
+    const usedB = new Uint8Array(B.n);
+    if (swap) {
+        search.map.forEach((a, b) => {
+            if (a >= 0) map[a] = b;
+        });
+    } else {
+        search.map.forEach((b, a) => {
+            if (b >= 0) map[a] = b;
+        });
+    }
+    map.forEach(b => {
+        if (b >= 0) usedB[b] = 1;
+    });
+
+    extendMapping(A, B, map, usedB);
+    mapHydrogens(A, B, map, usedB);
+
+    let mapping = Array.from(map);
+    let rmsd = null;
+    let automorphisms = 1;
+    if (opts.symmetry) {
+        ({ mapping, rmsd, automorphisms } = minimizeMappingRmsd(molA, molB, mapping, {
+            maxAutomorphisms: opts.maxAutomorphisms,
+        }));
+    }
+
+    const matchedBonds = matchedBondsFor(A, B, mapping, opts);
+    const union = A.bonds.length + B.bonds.length - matchedBonds.length;
+    const score = union === 0 ? 1 : matchedBonds.length / union;
+
+    return { mapping, score, matchedBonds, rmsd, automorphisms, complete, steps };
+}
@@ -0,0 +1,120 @@
+import { applyTransform, computeAlignment } from './alignment.js';
+import { computeDescriptors } from './descriptors.js';
+import { ELEMENTS, elementIndex } from './elements.js';
+import { parseMolecule } from './formats.js';
+import { addHydrogens, filterHydrogens } from './hydrogens.js';
+import { computeAtomMapping } from './mcs.js';
+import { identityTransform } from './normalization.js';
+import { perceiveBonds } from './perception.js';
+import { getDefaultResolver } from './sources.js';
+
+/**
+ * The two halves of getMoleculePoints: loading a structure and superposing
+ * it onto a reference. Coordinates are in Ångströms throughout.
+ */
+
+const HYDROGEN = ELEMENTS.indexOf('H');
+
+/**
+ * Turn a parsed record into a molecule: perceive bonds when the file has
+ * no bond table (guessing their orders only with `bondOrders`), add
+ * missing hydrogens at idealised positions when `addHydrogens` is set,
+ * keep the hydrogens chosen by `hydrogens` ('all' | 'polar' | 'none') and
+ * compute descriptors. Returns `{ name, atoms,
+ * elementIndexes, bonds, charges, isotopes, descriptors }` with atoms as
+ * [x, y, z] in the file's own frame.
+ */
+export function moleculeFromRecord(record, options = {}) {
+    const { perceive = 'auto', bondOrders = false, tolerance = 0.45 } = options;
+    if (!record || record.atoms.length === 0) throw new Error('Parsed zero atoms');
+
+    const atoms = record.atoms.map(a => [a.x, a.y, a.z]);
+    const elementIndexes = record.atoms.map(a => elementIndex(a.element));
+    const charges = record.atoms.map(a => a.charge);
+    const isotopes = record.atoms.map(a => a.isotope);
+
+    // Formats without a bond table (XYZ, most PDB/mmCIF) get bonds from distances
+    let bonds = record.bonds;
+    if (perceive === true || (perceive === 'auto' && bonds.length === 0 && atoms.length > 1)) {
+        bonds = perceiveBonds(atoms, elementIndexes, { tolerance, bondOrders });
+    }
+
+    let mol = { atoms, elementIndexes, bonds, charges, isotopes };
+    if (options.addHydrogens) mol = addHydrogens(mol);
+    mol = filterHydrogens(mol, options.hydrogens ?? 'all');
+
+    return {
+        name: record.name,
+        atoms: mol.atoms,
+        elementIndexes: mol.elementIndexes,
+        bonds: mol.bonds,
+        charges: mol.charges,
+        isotopes: mol.isotopes,
+        descriptors: computeDescriptors(mol),
+    };
+}
+
+/**
+ * Resolve and parse the first structure for `identifier` (see
+ * moleculeFromRecord for the options). Returns the molecule with
+ * `identifier` and `cid` added.
+ */
+export async function loadMolecule(identifier, options = {}) {
+    const { resolver = getDefaultResolver(), signal } = options;
+    const { text, format, cid } = await resolver.resolve(identifier, { signal });
+    const [record] = parseMolecule(text, format, options.format);
+    return { identifier, cid: cid ?? null, ...moleculeFromRecord(record, options) };
+}
+
+/**
+ * Load every conformer the source has for `identifier`, up to
+ * `conformers` (default 10): all records of a multi-record SDF, models of
+ * a PDB/mmCIF file or frames of an XYZ file. Each molecule also gets its
+ * `conformer` number (0-based).
+ */
+export async function loadConformers(identifier, options = {}) {
+    const { resolver = getDefaultResolver(), signal, conformers = 10 } = options;
+    const { text, format, cid } = await resolver.resolve(identifier, { signal, conformers });
+    const records = parseMolecule(text, format, options.format).slice(0, conformers);
+    if (records.length === 0) throw new Error('Parsed zero atoms');
+    return records.map((record, conformer) => ({
+        identifier, cid: cid ?? null, conformer, ...moleculeFromRecord(record, options),
+    }));
+}
+
+/**
+ * Map `mol` onto `reference` (both in Ångströms) and superpose the matched
+ * atoms. Returns the moved atoms with `atomMapping`, `mappingScore`,
+ * `matchedBonds`, `rmsd`, the `alignment` report and the applied
+ * `transform`; with fewer than three matched atoms the atoms stay put.
+ * `alignment.count` is the number of pairs superposed, and
+ * `alignment.degenerate` flags a rotation they do not pin down.
+ */
+export function superimposeMolecule(mol, reference, options = {}) {
+    const { mapping: atomMapping, score: mappingScore, matchedBonds, rmsd: mappedRmsd } =
+        computeAtomMapping(mol, reference, options.mapping);
+
+    let atoms = mol.atoms;
+    let rmsd = mappedRmsd;
+    let alignment = null;
+    const transform = identityTransform();
+
+    // Superpose on matched heavy atoms; hydrogens ride along with their
+    // parents. Tiny molecules with under three heavy pairs use all pairs.
+    const matched = atomMapping
+        .map((j, i) => (j !== -1 ? { i, j, heavy: mol.elementIndexes[i] !== HYDROGEN } : null))
+        .filter(Boolean);
+    const heavy = matched.filter(m => m.heavy);
+    const pairs = (heavy.length >= 3 ? heavy : matched).map(({ i, j }) => [mol.atoms[i], reference.atoms[j]]);
+
+    if (pairs.length >= 3) {
+        const { R, t, ...report } = computeAlignment(pairs.map(p => p[0]), pairs.map(p => p[1]));
+        alignment = report;
+        rmsd = report.rmsd;
+        transform.R = R;
+        transform.t = t;
+        atoms = applyTransform(mol.atoms, R, t);
+    }
+
+    return { atoms, atomMapping, mappingScore, matchedBonds, rmsd, alignment, transform };
+}
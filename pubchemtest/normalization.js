@@ -0,0 +1,92 @@
+import { multiplyMatrixVec, transpose } from './alignment.js';
+
+/**
+ * Mapping between Ångström coordinates and the normalized scene coordinates
+ * returned by getMoleculePoints.
+ *
+ * A molecule's `transform` is `{ R, t, center, scale }`: a source-file point
+ * x appears in the scene at (R·x + t − center)·scale. R, t is the
+ * superposition onto the previous molecule; center and scale are the
+ * normalization.
+ */
+
+const IDENTITY = [[1,0,0],[0,1,0],[0,0,1]];
+
+export function identityTransform() {
+    return { R: IDENTITY.map(r => [...r]), t: [0, 0, 0], center: [0, 0, 0], scale: 1 };
+}
+
+/**
+ * Axis-aligned bounding box `{ min, max }` over one or more point lists
+ */
+export function boundingBox(...pointSets) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const points of pointSets) {
+        for (const p of points) {
+            for (let k = 0; k < 3; k++) {
+                if (p[k] < min[k]) min[k] = p[k];
+                if (p[k] > max[k]) max[k] = p[k];
+            }
+        }
+    }
+    return { min, max };
+}
+
+/**
+ * Centre and scale that fit the given point lists into a cube of side
+ * `maxSize`. Point sets already smaller than that are not enlarged.
+ */
+export function fitNormalization(pointSets, maxSize = 1) {
+    const { min, max } = boundingBox(...pointSets);
+    if (!Number.isFinite(min[0])) return { center: [0, 0, 0], scale: 1 };
+    const center = min.map((v, k) => (v + max[k]) / 2);
+    const maxDim = Math.max(...max.map((v, k) => v - min[k]));
+    const scale = maxDim > maxSize ? maxSize / maxDim : 1;
+    return { center, scale };
+}
+
+/**
+ * Ångström → scene: (p − center)·scale
+ */
+export function normalizePoints(points, { center, scale }) {
+    return points.map(p => [
+        (p[0] - center[0]) * scale,
+        (p[1] - center[1]) * scale,
+        (p[2] - center[2]) * scale,
+    ]);
+}
+
+/**
+ * Scene → Ångström. By default the result is in the shared (aligned) frame,
+ * where distances and angles between molecules are meaningful; with
+ * `source: true` the superposition is undone too, giving the coordinates of
+ * the original structure file.
+ */
+export function toAngstrom(points, transform, { source = false } = {}) {
+    const { R, t, center, scale } = transform;
+    const aligned = points.map(p => [
+        p[0] / scale + center[0],
+        p[1] / scale + center[1],
+        p[2] / scale + center[2],
+    ]);
+    if (!source) return aligned;
+    const Rt = transpose(R);
+    return aligned.map(p => multiplyMatrixVec(Rt, [p[0] - t[0], p[1] - t[1], p[2] - t[2]]));
+}
+
+/**
+ * Put every molecule of a sequence into one reference frame: a single centre
+ * and scale fitted to all of them together, so relative sizes and the
+ * superposition are preserved. Returns new molecule objects with `atoms` and
+ * `transform` replaced.
+ */
+export function normalizeSequence(molecules, { maxSize = 1 } = {}) {
+    const aligned = molecules.map(mol => toAngstrom(mol.atoms, mol.transform));
+    const { center, scale } = fitNormalization(aligned, maxSize);
+    return molecules.map((mol, i) => ({
+        ...mol,
+        atoms: normalizePoints(aligned[i], { center, scale }),
+        transform: { ...mol.transform, center, scale },
+    }));
+}
@@ -0,0 +1,134 @@
+import { ELEMENTS, ELEMENT_DATA } from './elements.js';
+
+/**
+ * Bond perception from 3D coordinates, for inputs without a bond table
+ */
+
+const HYDROGEN = ELEMENTS.indexOf('H');
+
+/**
+ * Usual neutral valence of common main-group elements, used to guess bond
+ * orders; elements not listed are left with single bonds
+ */
+const TYPICAL_VALENCE = {
+    H: 1, B: 3, C: 4, N: 3, O: 2, F: 1, Si: 4, P: 3, S: 2, Cl: 1, Se: 2, Br: 1, I: 1,
+};
+
+/**
+ * Closer than this (Å) two atoms are treated as overlapping, not bonded
+ */
+const MIN_BOND_DISTANCE = 0.4;
+
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/**
+ * Connect atoms closer than the sum of their covalent radii plus
+ * `tolerance` (Å). A uniform grid keeps this near-linear in atom count.
+ * Each hydrogen keeps only its closest partner. With `bondOrders` set,
+ * multiple bonds are then guessed from unfilled valences.
+ *
+ * `atoms` are [x, y, z] triples in Å; returns `{ from, to, type }` bonds.
+ */
+export function perceiveBonds(atoms, elementIndexes, { tolerance = 0.45, bondOrders = false } = {}) {
+    const n = atoms.length;
+    const radii = elementIndexes.map(e => ELEMENT_DATA[e]?.covalentRadius ?? 0.75);
+    const maxRadius = Math.max(0, ...radii);
+    const cellSize = 2 * maxRadius + tolerance;
+
+    const cellKey = (x, y, z) => `${x},${y},${z}`;
+    const cellOf = p => p.map(v => Math.floor(v / cellSize));
+    const grid = new Map();
+    atoms.forEach((p, i) => {
+        const key = cellKey(...cellOf(p));
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(i);
+    });
+
+    const candidates = [];
+    atoms.forEach((p, i) => {
+        const [cx, cy, cz] = cellOf(p);
+        for (let dx = -1; dx <= 1; dx++)
+            for (let dy = -1; dy <= 1; dy++)
+                for (let dz = -1; dz <= 1; dz++) {
+                    for (const j of grid.get(cellKey(cx + dx, cy + dy, cz + dz)) ?? []) {
+                        if (j <= i) continue;
+                        const d = distance(p, atoms[j]);
+                        if (d >= MIN_BOND_DISTANCE && d <= radii[i] + radii[j] + tolerance) {
+                            candidates.push({ from: i, to: j, d });
+                        }
+                    }
+                }
+    });
+
+    // Hydrogens bond only to their nearest neighbour
+    const nearestForH = new Map();
+    for (const c of candidates) {
+        for (const end of [c.from, c.to]) {
+            if (elementIndexes[end] !== HYDROGEN) continue;
+            const best = nearestForH.get(end);
+            if (!best || c.d < best.d) nearestForH.set(end, c);
+        }
+    }
+    const bonds = candidates
+        .filter(c => [c.from, c.to].every(end => elementIndexes[end] !== HYDROGEN || nearestForH.get(end) === c))
+        .sort((a, b) => a.from - b.from || a.to - b.to)
+        .map(({ from, to }) => ({ from, to, type: 1 }));
+
+    if (bondOrders) assignBondOrders(atoms, elementIndexes, bonds);
+    return bonds;
+}
+
+/**
+ * Raise single bonds to double/triple where both atoms have valence to
+ * spare. Atoms with the fewest unsaturated neighbours are settled first so
+ * conjugated chains and rings come out as a consistent Kekulé structure;
+ * among choices the bond that is shortest relative to its single-bond length
+ * wins.
+ */
+export function assignBondOrders(atoms, elementIndexes, bonds) {
+    const n = atoms.length;
+    const free = new Int32Array(n);
+    const valence = elementIndexes.map(e => TYPICAL_VALENCE[ELEMENTS[e]] ?? null);
+    for (let i = 0; i < n; i++) free[i] = valence[i] ?? 0;
+    bonds.forEach(b => {
+        free[b.from] -= b.type;
+        free[b.to] -= b.type;
+    });
+
+    const incident = Array.from({ length: n }, () => []);
+    bonds.forEach(b => {
+        incident[b.from].push(b);
+        incident[b.to].push(b);
+    });
+
+    const shortness = b => {
+        const single = ELEMENT_DATA[elementIndexes[b.from]].covalentRadius +
+            ELEMENT_DATA[elementIndexes[b.to]].covalentRadius;
+        return distance(atoms[b.from], atoms[b.to]) / single;
+    };
+    const open = b => valence[b.from] !== null && valence[b.to] !== null &&
+        free[b.from] > 0 && free[b.to] > 0 && b.type < 3;
+
+    for (;;) {
+        let pick = null;
+        let pickRank = null;
+        for (let i = 0; i < n; i++) {
+            if (free[i] <= 0) continue;
+            const options = incident[i].filter(open);
+            if (options.length === 0) continue;
+            const best = options.reduce((x, y) => (shortness(y) < shortness(x) ? y : x));
+            const rank = [options.length, shortness(best)];
+            if (!pickRank || rank[0] < pickRank[0] || (rank[0] === pickRank[0] && rank[1] < pickRank[1])) {
+                pick = best;
+                pickRank = rank;
+            }
+        }
+        if (!pick) break;
+        pick.type++;
+        free[pick.from]--;
+        free[pick.to]--;
+    }
+    return bonds;
+}
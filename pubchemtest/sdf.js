@@ -0,0 +1,364 @@
+/**
+ * MOL / SDF parsing (V2000 and V3000 connection tables)
+ */
+
+/**
+ * Error thrown for malformed structure input of any format; `line` is 1-based
+ */
+export class MoleculeParseError extends Error {
+    constructor(message, line) {
+        super(line ? `Line ${line}: ${message}` : message);
+        this.name = 'MoleculeParseError';
+        this.line = line ?? null;
+    }
+}
+
+/**
+ * Error thrown for malformed MOL/SDF input
+ */
+export class SdfParseError extends MoleculeParseError {
+    constructor(message, line) {
+        super(message, line);
+        this.name = 'SdfParseError';
+    }
+}
+
+/**
+ * V2000 atom-block charge codes -> formal charge
+ */
+const V2000_CHARGES = { 0: 0, 1: 3, 2: 2, 3: 1, 4: 0, 5: -1, 6: -2, 7: -3 };
+
+/**
+ * V3000 bond CFG -> V2000 bond stereo code (1 up, 4 either, 6 down)
+ */
+const V3000_BOND_CFG = { 0: 0, 1: 1, 2: 4, 3: 6 };
+
+export function splitLines(text) {
+    return String(text).replace(/\r\n?/g, '\n').split('\n');
+}
+
+function intField(line, start, width, lineNo, what) {
+    const raw = line.substr(start, width).trim();
+    if (raw === '') return 0;
+    const value = Number(raw);
+    if (!Number.isInteger(value)) {
+        throw new SdfParseError(`Invalid ${what} "${raw}"`, lineNo);
+    }
+    return value;
+}
+
+function floatField(line, start, width, lineNo, what) {
+    const raw = line.substr(start, width).trim();
+    const value = Number(raw);
+    if (raw === '' || !Number.isFinite(value)) {
+        throw new SdfParseError(`Invalid ${what} "${raw}"`, lineNo);
+    }
+    return value;
+}
+
+/**
+ * Atom record with every optional MOL field at its default
+ */
+export function createAtom(element, x, y, z) {
+    return {
+        element, x, y, z,
+        charge: 0,
+        isotope: null,
+        massDifference: 0,
+        radical: 0,
+        stereo: 0,
+        hydrogenCount: 0,
+        valence: 0,
+        mapNumber: 0,
+    };
+}
+
+/**
+ * Parse the atom and bond blocks plus "M  " properties of a V2000 CTAB
+ */
+function parseV2000(lines, counts, countsLineNo, firstLineNo) {
+    const atomCount = intField(counts, 0, 3, countsLineNo, 'atom count');
+    const bondCount = intField(counts, 3, 3, countsLineNo, 'bond count');
+    const chiral = intField(counts, 12, 3, countsLineNo, 'chiral flag') === 1;
+
+    if (lines.length < 4 + atomCount + bondCount) {
+        throw new SdfParseError(
+            `Expected ${atomCount} atoms and ${bondCount} bonds but the block ends after ${lines.length} lines`,
+            firstLineNo + lines.length - 1
+        );
+    }
+
+    const atoms = [];
+    for (let i = 0; i < atomCount; i++) {
+        const line = lines[4 + i];
+        const lineNo = firstLineNo + 4 + i;
+        const x = floatField(line, 0, 10, lineNo, 'x coordinate');
+        const y = floatField(line, 10, 10, lineNo, 'y coordinate');
+        const z = floatField(line, 20, 10, lineNo, 'z coordinate');
+        const element = line.substr(31, 3).trim();
+        if (!element) throw new SdfParseError('Missing atom symbol', lineNo);
+
+        const atom = createAtom(element, x, y, z);
+        atom.massDifference = intField(line, 34, 2, lineNo, 'mass difference');
+        const chargeCode = intField(line, 36, 3, lineNo, 'charge code');
+        if (!(chargeCode in V2000_CHARGES)) {
+            throw new SdfParseError(`Unknown charge code ${chargeCode}`, lineNo);
+        }
+        atom.charge = V2000_CHARGES[chargeCode];
+        if (chargeCode === 4) atom.radical = 2;
+        atom.stereo = intField(line, 39, 3, lineNo, 'stereo parity');
+        atom.hydrogenCount = intField(line, 42, 3, lineNo, 'hydrogen count');
+        atom.valence = intField(line, 48, 3, lineNo, 'valence');
+        atom.mapNumber = intField(line, 60, 3, lineNo, 'atom-atom mapping number');
+        atoms.push(atom);
+    }
+
+    const bonds = [];
+    for (let i = 0; i < bondCount; i++) {
+        const line = lines[4 + atomCount + i];
+        const lineNo = firstLineNo + 4 + atomCount + i;
+        const from = intField(line, 0, 3, lineNo, 'bond atom') - 1;
+        const to = intField(line, 3, 3, lineNo, 'bond atom') - 1;
+        if (from < 0 || from >= atomCount || to < 0 || to >= atomCount) {
+            throw new SdfParseError(`Bond references missing atom (${from + 1}, ${to + 1})`, lineNo);
+        }
+        bonds.push({
+            from,
+            to,
+            type: intField(line, 6, 3, lineNo, 'bond type'),
+            stereo: intField(line, 9, 3, lineNo, 'bond stereo'),
+            topology: intField(line, 15, 3, lineNo, 'bond topology'),
+        });
+    }
+
+    // Properties block. Any CHG or RAD entry resets the atom-block values.
+    let resetCharges = true;
+    for (let i = 4 + atomCount + bondCount; i < lines.length; i++) {
+        const line = lines[i];
+        const lineNo = firstLineNo + i;
+        if (line.startsWith('M  END')) break;
+        const tag = line.substr(0, 6);
+        if (tag !== 'M  CHG' && tag !== 'M  ISO' && tag !== 'M  RAD') continue;
+
+        const fields = line.substr(6).trim().split(/\s+/).map(Number);
+        const n = fields[0];
+        if (!Number.isInteger(n) || fields.length < 1 + 2 * n || fields.some(f => !Number.isInteger(f))) {
+            throw new SdfParseError(`Malformed ${tag.trim()} property`, lineNo);
+        }
+        if (resetCharges && tag !== 'M  ISO') {
+            atoms.forEach(a => { a.charge = 0; a.radical = 0; });
+            resetCharges = false;
+        }
+        for (let k = 0; k < n; k++) {
+            const idx = fields[1 + 2 * k] - 1;
+            const value = fields[2 + 2 * k];
+            if (idx < 0 || idx >= atomCount) {
+                throw new SdfParseError(`${tag.trim()} references missing atom ${idx + 1}`, lineNo);
+            }
+            if (tag === 'M  CHG') atoms[idx].charge = value;
+            else if (tag === 'M  ISO') atoms[idx].isotope = value;
+            else atoms[idx].radical = value;
+        }
+    }
+
+    return { atoms, bonds, chiral };
+}
+
+/**
+ * Split a V3000 line into tokens, keeping quoted strings and (...) lists whole
+ */
+function tokenizeV3000(text) {
+    const tokens = [];
+    const re = /"((?:[^"]|"")*)"|(\S*\([^)]*\)\S*)|(\S+)/g;
+    let m;
+    while ((m = re.exec(text))) {
+        tokens.push(m[1] !== undefined ? m[1].replace(/""/g, '"') : (m[2] ?? m[3]));
+    }
+    return tokens;
+}
+
+function keywordArgs(tokens) {
+    const args = {};
+    for (const t of tokens) {
+        const eq = t.indexOf('=');
+        if (eq > 0) args[t.slice(0, eq).toUpperCase()] = t.slice(eq + 1);
+    }
+    return args;
+}
+
+/**
+ * Parse a V3000 CTAB, returning the same shape as the V2000 parser
+ */
+function parseV3000(lines, firstLineNo) {
+    // Join "-" continuation lines, remembering where each logical line started
+    const entries = [];
+    let pending = null;
+    for (let i = 4; i < lines.length; i++) {
+        const line = lines[i];
+        const lineNo = firstLineNo + i;
+        if (line.startsWith('M  END')) break;
+        if (!line.startsWith('M  V30 ')) {
+            if (pending) throw new SdfParseError('Unterminated V3000 continuation line', lineNo);
+            continue;
+        }
+        let body = line.substr(7);
+        const continues = body.trimEnd().endsWith('-');
+        if (continues) body = body.trimEnd().slice(0, -1);
+        if (pending) pending.text += body;
+        else pending = { text: body, lineNo };
+        if (!continues) {
+            entries.push(pending);
+            pending = null;
+        }
+    }
+
+    const atoms = [];
+    const bonds = [];
+    const atomIndex = new Map();
+    let chiral = false;
+    let section = null;
+    let sawCtab = false;
+
+    for (const { text, lineNo } of entries) {
+        const tokens = tokenizeV3000(text.trim());
+        const head = (tokens[0] || '').toUpperCase();
+
+        if (head === 'BEGIN' || head === 'END') {
+            const block = (tokens[1] || '').toUpperCase();
+            if (block === 'CTAB') sawCtab = true;
+            section = head === 'BEGIN' ? block : null;
+            continue;
+        }
+        if (head === 'COUNTS') {
+            chiral = Number(tokens[5]) === 1;
+            continue;
+        }
+
+        if (section === 'ATOM') {
+            if (tokens.length < 6) throw new SdfParseError('Truncated V3000 atom entry', lineNo);
+            const [index, element, xs, ys, zs, mapNumber] = tokens;
+            const coords = [xs, ys, zs].map(Number);
+            if (coords.some(c => !Number.isFinite(c))) {
+                throw new SdfParseError(`Invalid coordinates for atom ${index}`, lineNo);
+            }
+            const atom = createAtom(element, ...coords);
+            const args = keywordArgs(tokens.slice(6));
+            atom.mapNumber = Number(mapNumber) || 0;
+            atom.charge = Number(args.CHG ?? 0);
+            atom.radical = Number(args.RAD ?? 0);
+            atom.isotope = args.MASS !== undefined ? Number(args.MASS) : null;
+            atom.stereo = Number(args.CFG ?? 0);
+            atom.hydrogenCount = Number(args.HCOUNT ?? 0);
+            atom.valence = Number(args.VAL ?? 0);
+            atomIndex.set(index, atoms.length);
+            atoms.push(atom);
+        } else if (section === 'BOND') {
+            if (tokens.length < 4) throw new SdfParseError('Truncated V3000 bond entry', lineNo);
+            const [, type, a1, a2] = tokens;
+            if (!atomIndex.has(a1) || !atomIndex.has(a2)) {
+                throw new SdfParseError(`Bond references missing atom (${a1}, ${a2})`, lineNo);
+            }
+            const args = keywordArgs(tokens.slice(4));
+            bonds.push({
+                from: atomIndex.get(a1),
+                to: atomIndex.get(a2),
+                type: Number(type),
+                stereo: V3000_BOND_CFG[Number(args.CFG ?? 0)] ?? 0,
+                topology: Number(args.TOPO ?? 0),
+            });
+        }
+    }
+
+    if (!sawCtab) throw new SdfParseError('V3000 record has no CTAB block', firstLineNo + 4);
+    return { atoms, bonds, chiral };
+}
+
+/**
+ * Parse a single MOL block (header, counts line, CTAB and properties).
+ * `firstLine` is the 1-based line number of the block within a larger file,
+ * used only to report errors.
+ */
+export function parseMolBlock(text, firstLine = 1) {
+    const lines = Array.isArray(text) ? text : splitLines(text);
+    if (lines.length < 4) {
+        throw new SdfParseError('MOL block too short: missing header or counts line', firstLine + lines.length - 1);
+    }
+
+    const counts = lines[3];
+    const countsLineNo = firstLine + 3;
+    const version = /V3000/i.test(counts.substr(33)) ? 'V3000' : 'V2000';
+    if (version === 'V2000' && !/^\s*\d+\s+\d+/.test(counts)) {
+        throw new SdfParseError(`Invalid counts line "${counts.trim()}"`, countsLineNo);
+    }
+
+    const ctab = version === 'V3000'
+        ? parseV3000(lines, firstLine)
+        : parseV2000(lines, counts, countsLineNo, firstLine);
+
+    return {
+        name: lines[0].trim(),
+        program: lines[1].trim(),
+        comment: lines[2].trim(),
+        version,
+        ...ctab,
+        data: {},
+    };
+}
+
+/**
+ * Parse the "> <FIELD>" data items that follow M  END in an SD record
+ */
+function parseDataItems(lines, firstLine) {
+    const data = {};
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.startsWith('>')) {
+            if (line.trim() !== '') {
+                throw new SdfParseError(`Unexpected text outside a data item: "${line.trim()}"`, firstLine + i);
+            }
+            i++;
+            continue;
+        }
+        const match = line.match(/<([^>]*)>/);
+        if (!match) throw new SdfParseError('Data header has no <field name>', firstLine + i);
+        const values = [];
+        i++;
+        while (i < lines.length && lines[i].trim() !== '') {
+            values.push(lines[i]);
+            i++;
+        }
+        data[match[1]] = values.join('\n');
+    }
+    return data;
+}
+
+/**
+ * Parse an SD file into its records. Each record is the parseMolBlock
+ * result plus its SD data fields in `data`.
+ */
+export function parseSdf(text) {
+    const lines = splitLines(text);
+    const records = [];
+    let start = 0;
+
+    for (let i = 0; i <= lines.length; i++) {
+        const atEnd = i === lines.length;
+        if (!atEnd && !lines[i].startsWith('$$$$')) continue;
+
+        const block = lines.slice(start, i);
+        const firstLine = start + 1;
+        start = i + 1;
+        if (block.every(l => l.trim() === '')) continue;
+
+        const endIdx = block.findIndex(l => l.startsWith('M  END'));
+        if (endIdx === -1) {
+            throw new SdfParseError('Record has no "M  END" line', firstLine + block.length - 1);
+        }
+        const record = parseMolBlock(block.slice(0, endIdx + 1), firstLine);
+        record.data = parseDataItems(block.slice(endIdx + 1), firstLine + endIdx + 1);
+        records.push(record);
+    }
+
+    return records;
+}
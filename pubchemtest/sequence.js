@@ -0,0 +1,190 @@
+import { loadConformers, loadMolecule, superimposeMolecule } from './molecule.js';
+import { fitNormalization, identityTransform, normalizePoints, normalizeSequence } from './normalization.js';
+
+/**
+ * Loading a whole list of compounds for morphing
+ */
+
+function throwIfAborted(signal) {
+    if (signal?.aborted) throw signal.reason ?? new DOMException('Aborted', 'AbortError');
+}
+
+/**
+ * Let the event loop run between CPU-bound steps so progress can be drawn
+ * and aborts are noticed
+ */
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Run `task(item, index)` over `items` with at most `limit` in flight.
+ * Never rejects; returns `{ value }` or `{ error }` per item.
+ */
+async function settleAll(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { value: await task(items[index], index) };
+            } catch (error) {
+                results[index] = { error };
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Fetch, map and superpose a list of compounds for morphing.
+ *
+ * Structures are downloaded in parallel (`concurrency`, default 4); mapping
+ * and alignment then run in list order. Options:
+ * - `align`: 'previous' (default) superposes each molecule on the one before
+ *   it; 'reference' superposes every molecule on the `reference`-th (default
+ *   the first that loaded).
+ * - `normalize`: 'sequence' (default) fits one shared centre and scale to
+ *   the whole set; 'molecule' fits each on its own; 'none' keeps Ångströms.
+ * - `reuse`: `items` of an earlier call with the same identifiers and
+ *   options; compounds that loaded then are not fetched again, so a retry
+ *   only fetches the ones that failed. The whole list is still superposed.
+ * - `signal`: AbortSignal; aborting rejects with its reason.
+ * - `onProgress(event)`: called with `{ type, index, identifier, completed,
+ *   total }` where `type` is 'loading', 'loaded', 'aligned' or 'error'
+ *   (the latter with `error`). 'aligned' events carry the `alignment`
+ *   report, null for the first molecule; check its `degenerate` flag for
+ *   superpositions on too few atoms. `completed` counts settled items; reused
+ *   compounds skip 'loading' and 'loaded'.
+ * - `resolver`, `tolerance`, `perceive`, `bondOrders`, `format`,
+ *   `hydrogens`, `addHydrogens` and `mapping` as for getMoleculePoints.
+ *
+ * A failing compound does not stop the rest. Returns `{ molecules, items,
+ * referenceIndex }`: `items` has one `{ identifier, status, molecule, error,
+ * source }` entry per input (`status` 'ok' or 'error', `source` the
+ * structure as loaded, before superposition), `molecules` the successful
+ * ones in order, shaped like getMoleculePoints results plus `identifier`,
+ * `index`, `cid` and `name`.
+ */
+export async function buildMorphSequence(identifiers, options = {}) {
+    const { signal, onProgress = () => {}, concurrency = 4, reuse = [] } = options;
+    throwIfAborted(signal);
+
+    const total = identifiers.length;
+    let completed = 0;
+    const report = (type, index, extra = {}) => {
+        if (type === 'aligned' || type === 'error') completed++;
+        onProgress({ type, index, identifier: identifiers[index], completed, total, ...extra });
+    };
+
+    const loaded = await settleAll(identifiers, concurrency, async (identifier, index) => {
+        throwIfAborted(signal);
+        const earlier = reuse[index];
+        if (earlier?.status === 'ok' && earlier.identifier === identifier && earlier.source) return earlier.source;
+        report('loading', index);
+        const mol = await loadMolecule(identifier, options);
+        report('loaded', index);
+        return mol;
+    });
+    throwIfAborted(signal);
+
+    const items = identifiers.map((identifier, index) => ({
+        identifier,
+        status: loaded[index].error ? 'error' : 'ok',
+        molecule: null,
+        error: loaded[index].error ?? null,
+        source: loaded[index].value ?? null,
+    }));
+    items.forEach((item, index) => {
+        if (item.error) report('error', index, { error: item.error });
+    });
+
+    return arrangeSequence(loaded.map(r => r.value ?? null), items, options, report);
+}
+
+/**
+ * Superpose and normalize loaded molecules in list order, filling in
+ * `items` (see buildMorphSequence); `loaded[i]` is null for failed items
+ */
+async function arrangeSequence(loaded, items, options, report) {
+    const { signal, align = 'previous', reference = 0, normalize = 'sequence' } = options;
+
+    let referenceIndex = null;
+    if (align === 'reference') {
+        referenceIndex = items[reference]?.status === 'ok' ? reference : items.findIndex(item => item.status === 'ok');
+        if (referenceIndex === -1) referenceIndex = null;
+    }
+
+    // Ångström results, superposed but not yet normalized
+    let previous = null;
+    for (let index = 0; index < items.length; index++) {
+        if (items[index].status !== 'ok') continue;
+        await yieldToEventLoop();
+        throwIfAborted(signal);
+
+        const mol = loaded[index];
+        const target = align === 'reference'
+            ? (index === referenceIndex ? null : loaded[referenceIndex])
+            : previous;
+        try {
+            const fit = target
+                ? superimposeMolecule(mol, target, options)
+                : {
+                    atoms: mol.atoms, atomMapping: null, mappingScore: null, matchedBonds: null,
+                    rmsd: null, alignment: null, transform: identityTransform(),
+                };
+            items[index].molecule = { ...mol, index, ...fit };
+            // Later molecules align to where this one ended up
+            if (align !== 'reference') previous = { ...mol, atoms: fit.atoms };
+            report('aligned', index, { alignment: fit.alignment });
+        } catch (error) {
+            items[index].status = 'error';
+            items[index].error = error;
+            report('error', index, { error });
+        }
+    }
+
+    const ok = items.filter(item => item.status === 'ok');
+    let molecules = ok.map(item => item.molecule);
+    if (normalize === 'sequence') {
+        molecules = normalizeSequence(molecules);
+    } else if (normalize === 'molecule') {
+        molecules = molecules.map(mol => {
+            const transform = { ...mol.transform, ...fitNormalization([mol.atoms]) };
+            return { ...mol, atoms: normalizePoints(mol.atoms, transform), transform };
+        });
+    }
+    ok.forEach((item, k) => { item.molecule = molecules[k]; });
+
+    return { molecules, items, referenceIndex };
+}
+
+/**
+ * Load up to `conformers` (default 10) conformers of one compound and
+ * superpose them, for showing its flexibility. By default every conformer
+ * is aligned onto the first (`align: 'reference'`); the other options and
+ * the result are as for buildMorphSequence, with one item per conformer
+ * and each molecule carrying its `conformer` number. Failing to fetch the
+ * compound rejects, since there is nothing partial to return.
+ */
+export async function buildConformerSequence(identifier, options = {}) {
+    const { signal, onProgress = () => {} } = options;
+    throwIfAborted(signal);
+
+    let total = 1;
+    let completed = 0;
+    const report = (type, index, extra = {}) => {
+        if (type === 'aligned' || type === 'error') completed++;
+        onProgress({ type, index, identifier, completed, total, ...extra });
+    };
+
+    report('loading', 0);
+    const conformers = await loadConformers(identifier, options);
+    total = conformers.length;
+    report('loaded', 0);
+    throwIfAborted(signal);
+
+    const items = conformers.map(() => ({ identifier, status: 'ok', molecule: null, error: null }));
+    return arrangeSequence(conformers, items, { align: 'reference', ...options }, report);
+}
+
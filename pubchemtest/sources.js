@@ -0,0 +1,426 @@
+import { identifierKey, parseIdentifier } from './identifiers.js';
+
+/**
+ * Molecule sources.
+ *
+ * A resolver is any object with `resolve(identifier, { signal })` returning a
+ * promise of `{ identifier, text, format, cid }`: the structure file
+ * contents, its format ('sdf', 'xyz', 'pdb', 'cif', or null to auto-detect)
+ * and the PubChem CID, which is null when the source does not know it.
+ * `signal` is an optional AbortSignal; resolvers that do no I/O may ignore it.
+ * `conformers` asks for up to that many conformers (default 1); sources
+ * that can supply several return them as consecutive records of `text`.
+ * Resolvers that choose between several matches name their policy in
+ * `ambiguity`, so caches keep the results of each policy apart.
+ */
+
+const PUG_REST = 'https://pubchem.ncbi.nlm.nih.gov/rest/pug';
+
+/**
+ * Error raised by resolvers; `code` is one of 'not-found', 'ambiguous',
+ * 'no-3d' or 'network'. Ambiguous errors carry `candidates`
+ * (`{ cid, title, formula }`).
+ */
+export class MoleculeSourceError extends Error {
+    constructor(message, { identifier, code, cause } = {}) {
+        super(message, { cause });
+        this.name = 'MoleculeSourceError';
+        this.identifier = identifier;
+        this.code = code;
+    }
+}
+
+const isNode = typeof process !== 'undefined' && !!process.versions?.node;
+
+/**
+ * Import a Node built-in lazily, hidden from the browser bundler
+ */
+const nodeImport = specifier => import(/* @vite-ignore */ specifier);
+
+/**
+ * PUG REST input namespace and request shape for each identifier type.
+ * SMILES and InChI go in a POST body since they may contain "/".
+ */
+const PUG_INPUT = {
+    cid: null,
+    name: { path: v => `name/${encodeURIComponent(v)}` },
+    smiles: { path: () => 'smiles', body: 'smiles' },
+    inchi: { path: () => 'inchi', body: 'inchi' },
+    inchikey: { path: v => `inchikey/${encodeURIComponent(v)}` },
+    formula: { path: v => `fastformula/${encodeURIComponent(v)}` },
+};
+
+const MAX_CANDIDATES = 10;
+
+/**
+ * Resolve typed identifiers through PubChem and download the 3D SDF record.
+ * When an identifier matches several compounds the resolver throws an
+ * 'ambiguous' MoleculeSourceError listing the candidates; with
+ * `ambiguity: 'first'` it uses the first match instead.
+ */
+export function createPubChemResolver({
+    fetch: fetchFn = globalThis.fetch,
+    baseUrl = PUG_REST,
+    ambiguity = 'error',
+} = {}) {
+    async function request(url, identifier, init = {}) {
+        try {
+            return await fetchFn(url, init);
+        } catch (cause) {
+            if (init.signal?.aborted) throw init.signal.reason;
+            throw new MoleculeSourceError(`Network error while resolving ${identifier}`, { identifier, code: 'network', cause });
+        }
+    }
+
+    async function lookupCids(id, identifier, signal) {
+        if (id.type === 'cid') return [Number(id.value)];
+
+        const input = PUG_INPUT[id.type];
+        const url = `${baseUrl}/compound/${input.path(id.value)}/cids/JSON`;
+        const init = input.body
+            ? {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({ [input.body]: id.value }).toString(),
+                signal,
+            }
+            : { signal };
+
+        const res = await request(url, identifier, init);
+        if (res.status === 404 || res.status === 400) {
+            throw new MoleculeSourceError(`No PubChem compound for ${id.type} "${id.value}"`, { identifier, code: 'not-found' });
+        }
+        if (!res.ok) {
+            throw new MoleculeSourceError(`PubChem lookup failed for ${identifier} (HTTP ${res.status})`, { identifier, code: 'network' });
+        }
+        const cids = ((await res.json()).IdentifierList?.CID ?? []).filter(cid => cid > 0);
+        if (cids.length === 0) {
+            throw new MoleculeSourceError(`No PubChem compound for ${id.type} "${id.value}"`, { identifier, code: 'not-found' });
+        }
+        return cids;
+    }
+
+    async function describe(cids, identifier, signal) {
+        const list = cids.slice(0, MAX_CANDIDATES);
+        const res = await request(`${baseUrl}/compound/cid/${list.join(',')}/property/Title,MolecularFormula/JSON`, identifier, { signal });
+        const props = res.ok ? (await res.json()).PropertyTable?.Properties ?? [] : [];
+        const byCid = new Map(props.map(p => [p.CID, p]));
+        return list.map(cid => ({
+            cid,
+            title: byCid.get(cid)?.Title ?? null,
+            formula: byCid.get(cid)?.MolecularFormula ?? null,
+        }));
+    }
+
+    /**
+     * Concatenated SDF of up to `limit` of the compound's PubChem3D conformers
+     */
+    async function downloadConformers(cid, limit, identifier, signal) {
+        const list = await request(`${baseUrl}/compound/cid/${cid}/conformers/JSON`, identifier, { signal });
+        if (list.status === 404) {
+            throw new MoleculeSourceError(`No 3D conformers for CID ${cid}`, { identifier, code: 'no-3d' });
+        }
+        if (!list.ok) {
+            throw new MoleculeSourceError(`Conformer lookup failed for CID ${cid} (HTTP ${list.status})`, { identifier, code: 'network' });
+        }
+        const ids = ((await list.json()).InformationList?.Information?.[0]?.ConformerID ?? []).slice(0, limit);
+        if (ids.length === 0) {
+            throw new MoleculeSourceError(`No 3D conformers for CID ${cid}`, { identifier, code: 'no-3d' });
+        }
+
+        const res = await request(`${baseUrl}/conformers/${ids.join(',')}/SDF`, identifier, { signal });
+        if (!res.ok) {
+            throw new MoleculeSourceError(`Unable to download conformers for CID ${cid}`, { identifier, code: 'network' });
+        }
+        return res.text();
+    }
+
+    return {
+        name: 'pubchem',
+        ambiguity,
+        async resolve(identifier, { signal, conformers = 1 } = {}) {
+            const id = parseIdentifier(identifier);
+            const cids = await lookupCids(id, identifier, signal);
+
+            if (cids.length > 1 && ambiguity !== 'first') {
+                const candidates = await describe(cids, identifier, signal);
+                const err = new MoleculeSourceError(
+                    `"${id.value}" matches ${cids.length} compounds; use cid:<n> to pick one`,
+                    { identifier, code: 'ambiguous' }
+                );
+                err.candidates = candidates;
+                throw err;
+            }
+
+            const cid = cids[0];
+
+            if (conformers > 1) {
+                return { identifier, text: await downloadConformers(cid, conformers, identifier, signal), format: 'sdf', cid };
+            }
+
+            const res = await request(`${baseUrl}/compound/cid/${cid}/SDF?record_type=3d`, identifier, { signal });
+            if (res.status === 404) {
+                throw new MoleculeSourceError(`No 3D record for CID ${cid}`, { identifier, code: 'no-3d' });
+            }
+            if (!res.ok) {
+                throw new MoleculeSourceError(`Unable to download SDF for CID ${cid}`, { identifier, code: 'network' });
+            }
+            return { identifier, text: await res.text(), format: 'sdf', cid };
+        },
+    };
+}
+
+const FILE_EXTENSIONS = { '.sdf': 'sdf', '.mol': 'sdf', '.xyz': 'xyz', '.pdb': 'pdb', '.cif': 'cif' };
+
+/**
+ * Candidate file stems for an identifier, most specific first
+ */
+function fileStemsFor(identifier) {
+    const { type, value } = parseIdentifier(identifier);
+    const base = type === 'name' || type === 'cid' ? value : encodeURIComponent(value);
+    const lower = base.toLowerCase();
+    const names = [base, lower, lower.replace(/\s+/g, '_'), lower.replace(/\s+/g, '-')];
+    if (type !== 'name') names.unshift(`${type}_${base}`);
+    return [...new Set(names)];
+}
+
+/**
+ * Read `<dir>/<identifier>.<ext>` from disk (Node only), for .sdf, .mol,
+ * .xyz, .pdb and .cif files. Lookup is tried with the identifier value as
+ * given, lower-cased, and with spaces replaced by `_` or `-`; typed
+ * identifiers also try `<type>_<value>` (e.g. `cid_702.sdf`).
+ */
+export function createLocalDirectoryResolver(dir) {
+    return {
+        name: 'local',
+        async resolve(identifier) {
+            const { readFile } = await nodeImport('node:fs/promises');
+            const { join } = await nodeImport('node:path');
+            for (const stem of fileStemsFor(identifier)) {
+                for (const [ext, format] of Object.entries(FILE_EXTENSIONS)) {
+                    try {
+                        const text = await readFile(join(dir, stem + ext), 'utf8');
+                        return { identifier, text, format, cid: null };
+                    } catch (err) {
+                        if (err.code !== 'ENOENT') throw err;
+                    }
+                }
+            }
+            throw new MoleculeSourceError(`No structure file for "${identifier}" in ${dir}`, { identifier, code: 'not-found' });
+        },
+    };
+}
+
+/**
+ * Treat identifiers as paths to structure files (Node only), optionally
+ * prefixed with "file:". The format comes from the extension, or is
+ * auto-detected for unknown ones; missing files are 'not-found' so a chain
+ * can fall through to other sources.
+ */
+export function createFileResolver() {
+    return {
+        name: 'file',
+        async resolve(identifier) {
+            const { readFile } = await nodeImport('node:fs/promises');
+            const { extname } = await nodeImport('node:path');
+            const path = String(identifier).replace(/^file:/, '');
+            try {
+                const text = await readFile(path, 'utf8');
+                return { identifier, text, format: FILE_EXTENSIONS[extname(path).toLowerCase()] ?? null, cid: null };
+            } catch (err) {
+                if (err.code !== 'ENOENT' && err.code !== 'EISDIR') throw err;
+                throw new MoleculeSourceError(`No file "${path}"`, { identifier, code: 'not-found' });
+            }
+        },
+    };
+}
+
+/**
+ * Serve structures from an in-memory map (object or Map) of identifier ->
+ * file text, or identifier -> `{ text, format }`
+ */
+export function createFixtureResolver(fixtures) {
+    const entries = fixtures instanceof Map ? fixtures : new Map(Object.entries(fixtures));
+    const byKey = new Map([...entries].map(([k, v]) => [identifierKey(k), v]));
+    return {
+        name: 'fixture',
+        async resolve(identifier) {
+            const entry = byKey.get(identifierKey(identifier));
+            if (entry === undefined) {
+                throw new MoleculeSourceError(`No fixture for "${identifier}"`, { identifier, code: 'not-found' });
+            }
+            const { text, format = null } = typeof entry === 'string' ? { text: entry } : entry;
+            return { identifier, text, format, cid: null };
+        },
+    };
+}
+
+/**
+ * Try each resolver in turn; the first one that does not report
+ * 'not-found' wins
+ */
+export function createChainResolver(resolvers) {
+    return {
+        name: resolvers.map(r => r.name).join('+'),
+        async resolve(identifier, options) {
+            let lastError;
+            for (const resolver of resolvers) {
+                try {
+                    return await resolver.resolve(identifier, options);
+                } catch (err) {
+                    if (!(err instanceof MoleculeSourceError) || err.code !== 'not-found') throw err;
+                    lastError = err;
+                }
+            }
+            throw lastError ?? new MoleculeSourceError(`No source for "${identifier}"`, { identifier, code: 'not-found' });
+        },
+    };
+}
+
+/**
+ * Key/value store kept in memory for the lifetime of the page or process
+ */
+export function createMemoryStore() {
+    const map = new Map();
+    return {
+        async get(key) { return map.get(key); },
+        async set(key, value) { map.set(key, value); },
+    };
+}
+
+/**
+ * Key/value store backed by one IndexedDB object store (browser)
+ */
+export function createIndexedDbStore(dbName = 'pubchemtest', storeName = 'sdf') {
+    let dbPromise = null;
+    const open = () => {
+        dbPromise ??= new Promise((resolve, reject) => {
+            const req = indexedDB.open(dbName, 1);
+            req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        return dbPromise;
+    };
+    const run = async (mode, fn) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    };
+    return {
+        get: key => run('readonly', store => store.get(key)),
+        set: (key, value) => run('readwrite', store => store.put(value, key)).then(() => {}),
+    };
+}
+
+/**
+ * Key/value store with one file per key under `dir` (Node)
+ */
+export function createFileSystemStore(dir) {
+    const pathFor = async key => {
+        const { join } = await nodeImport('node:path');
+        return join(dir, `${encodeURIComponent(key)}.json`);
+    };
+    return {
+        async get(key) {
+            const { readFile } = await nodeImport('node:fs/promises');
+            try {
+                return await readFile(await pathFor(key), 'utf8');
+            } catch (err) {
+                if (err.code === 'ENOENT') return undefined;
+                throw err;
+            }
+        },
+        async set(key, value) {
+            const { mkdir, writeFile } = await nodeImport('node:fs/promises');
+            await mkdir(dir, { recursive: true });
+            await writeFile(await pathFor(key), value, 'utf8');
+        },
+    };
+}
+
+/**
+ * IndexedDB in the browser, ~/.cache/pubchemtest under Node, memory otherwise
+ */
+export async function createDefaultStore() {
+    if (typeof indexedDB !== 'undefined') return createIndexedDbStore();
+    if (isNode) {
+        const { homedir } = await nodeImport('node:os');
+        const { join } = await nodeImport('node:path');
+        return createFileSystemStore(join(homedir(), '.cache', 'pubchemtest'));
+    }
+    return createMemoryStore();
+}
+
+/**
+ * Reject as soon as `signal` aborts, without cancelling `promise` itself
+ */
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Wrap a resolver so each identifier is fetched at most once. Store errors
+ * go to `onError(error, identifier)` and are otherwise ignored so a broken
+ * cache never blocks loading.
+ * Concurrent callers share one request, so aborting only detaches the
+ * caller; the download finishes and still fills the cache.
+ */
+export function createCachedResolver(resolver, { store, onError = () => {} } = {}) {
+    let storePromise = null;
+    const getStore = () => (storePromise ??= Promise.resolve(store ?? createDefaultStore()));
+    const inFlight = new Map();
+
+    const mode = resolver.ambiguity ? `(${resolver.ambiguity})` : '';
+    const keyFor = (identifier, conformers = 1) =>
+        `${resolver.name}${mode}:${identifierKey(identifier)}${conformers > 1 ? `#conformers=${conformers}` : ''}`;
+
+    async function load(identifier, conformers) {
+        const key = keyFor(identifier, conformers);
+        const cacheStore = await getStore();
+        try {
+            const cached = await cacheStore.get(key);
+            if (cached) return { ...JSON.parse(cached), identifier };
+        } catch (err) {
+            onError(err, identifier);
+        }
+
+        const result = await resolver.resolve(identifier, { conformers });
+        try {
+            await cacheStore.set(key, JSON.stringify({ text: result.text, format: result.format, cid: result.cid }));
+        } catch (err) {
+            onError(err, identifier);
+        }
+        return result;
+    }
+
+    return {
+        name: `cached(${resolver.name})`,
+        resolve(identifier, { signal, conformers = 1 } = {}) {
+            const key = keyFor(identifier, conformers);
+            if (!inFlight.has(key)) {
+                inFlight.set(key, load(identifier, conformers).finally(() => inFlight.delete(key)));
+            }
+            return abortable(inFlight.get(key), signal);
+        },
+    };
+}
+
+let defaultResolver = null;
+
+/**
+ * Resolver used when none is passed: PubChem behind the default cache
+ */
+export function getDefaultResolver() {
+    defaultResolver ??= createCachedResolver(createPubChemResolver());
+    return defaultResolver;
+}
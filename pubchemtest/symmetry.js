@@ -0,0 +1,237 @@
+import { applyTransform, computeAlignment } from './alignment.js';
+import { ELEMENTS } from './elements.js';
+import { adjacency } from './graph.js';
+
+/**
+ * Symmetry handling for atom mappings: chemically equivalent atoms are
+ * permuted so the mapped pairs superpose with the lowest RMSD.
+ */
+
+const HYDROGEN = ELEMENTS.indexOf('H');
+
+const DEFAULT_OPTIONS = {
+    maxAutomorphisms: 256,
+    maxSteps: 50000,
+};
+
+/**
+ * Iteratively refined atom classes (element, degree, hydrogen count, then
+ * neighbour classes) used to prune the automorphism search
+ */
+function atomClasses(mol, adj, core) {
+    const { elementIndexes } = mol;
+    const inCore = new Set(core);
+    let labels = core.map(i => {
+        let hs = 0;
+        for (const j of adj[i]) if (!inCore.has(j)) hs++;
+        return `${elementIndexes[i]}:${adj[i].size}:${hs}`;
+    });
+    let count = new Set(labels).size;
+
+    const index = new Map(core.map((a, k) => [a, k]));
+    for (;;) {
+        const next = core.map((a, k) => {
+            const around = [...adj[a]].filter(j => inCore.has(j)).map(j => labels[index.get(j)]).sort();
+            return `${labels[k]}|${around.join(',')}`;
+        });
+        const ids = new Map();
+        next.forEach(l => { if (!ids.has(l)) ids.set(l, ids.size); });
+        labels = next.map(l => String(ids.get(l)));
+        if (ids.size === count) break;
+        count = ids.size;
+    }
+
+    const classes = new Map();
+    core.forEach((a, k) => classes.set(a, labels[k]));
+    return classes;
+}
+
+/**
+ * Enumerate automorphisms of the heavy-atom graph (connectivity and
+ * element; bond orders are ignored so Kekulé rings and carboxylates stay
+ * symmetric). Each result is a permutation `perm` over all atoms;
+ * hydrogens move with their parent atom. Enumeration stops at
+ * `maxAutomorphisms` results or `maxSteps` search nodes.
+ */
+export function enumerateAutomorphisms(mol, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const n = mol.atoms.length;
+    const adj = adjacency(mol.bonds, n);
+    const core = [];
+    for (let i = 0; i < n; i++) if (mol.elementIndexes[i] !== HYDROGEN) core.push(i);
+    if (core.length === 0) return [Int32Array.from({ length: n }, (_, i) => i)];
+
+    const classes = atomClasses(mol, adj, core);
+    const members = new Map();
+    core.forEach(a => {
+        const c = classes.get(a);
+        if (!members.has(c)) members.set(c, []);
+        members.get(c).push(a);
+    });
+
+    // Breadth-first order so each atom after the first has a fixed neighbour
+    const inCore = new Set(core);
+    const order = [];
+    const seen = new Set();
+    for (const root of core) {
+        if (seen.has(root)) continue;
+        seen.add(root);
+        const queue = [root];
+        while (queue.length) {
+            const a = queue.shift();
+            order.push(a);
+            for (const j of adj[a]) {
+                if (inCore.has(j) && !seen.has(j)) {
+                    seen.add(j);
+                    queue.push(j);
+                }
+            }
+        }
+    }
+
+    const perm = Int32Array.from({ length: n }, (_, i) => (inCore.has(i) ? -1 : i));
+    const preimage = new Int32Array(n).fill(-1);
+    const results = [];
+    let steps = 0;
+
+    const consistent = (a, b) => {
+        for (const x of adj[a]) {
+            if (inCore.has(x) && perm[x] >= 0 && !adj[b].has(perm[x])) return false;
+        }
+        for (const y of adj[b]) {
+            if (inCore.has(y) && preimage[y] >= 0 && !adj[a].has(preimage[y])) return false;
+        }
+        return true;
+    };
+
+    const search = k => {
+        if (results.length >= opts.maxAutomorphisms || ++steps > opts.maxSteps) return;
+        if (k === order.length) {
+            // Hydrogens travel with their parent atom
+            const full = Int32Array.from(perm);
+            for (const a of core) {
+                const hA = [...adj[a]].filter(j => !inCore.has(j));
+                const hB = [...adj[perm[a]]].filter(j => !inCore.has(j));
+                hA.forEach((h, m) => { full[h] = hB[m]; });
+            }
+            results.push(full);
+            return;
+        }
+        const a = order[k];
+        for (const b of members.get(classes.get(a))) {
+            if (preimage[b] >= 0 || !consistent(a, b)) continue;
+            perm[a] = b;
+            preimage[b] = a;
+            search(k + 1);
+            perm[a] = -1;
+            preimage[b] = -1;
+        }
+    };
+    search(0);
+
+    return results.length > 0 ? results : [Int32Array.from({ length: n }, (_, i) => i)];
+}
+
+function mappedPairs(molA, molB, mapping, filter = () => true) {
+    const a = [], b = [];
+    mapping.forEach((j, i) => {
+        if (j >= 0 && filter(i)) {
+            a.push(molA.atoms[i]);
+            b.push(molB.atoms[j]);
+        }
+    });
+    return { a, b };
+}
+
+/**
+ * RMSD of the mapped pairs after optimal superposition, with the transform
+ */
+function alignedRmsd(molA, molB, mapping, filter) {
+    const { a, b } = mappedPairs(molA, molB, mapping, filter);
+    if (a.length < 3) return { rmsd: null, R: null, t: null };
+    const { R, t, rmsd } = computeAlignment(a, b);
+    return { rmsd, R, t };
+}
+
+function permutations(items) {
+    if (items.length <= 1) return [items];
+    return items.flatMap((x, i) =>
+        permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [x, ...rest])
+    );
+}
+
+const MAX_TERMINAL_GROUP = 6;
+
+/**
+ * Re-pair terminal atoms (methyl hydrogens, carboxylate oxygens, ...) that
+ * share a parent and element so each lands nearest its partner under the
+ * superposition R, t
+ */
+function permuteTerminalAtoms(molA, molB, mapping, adj, R, t) {
+    const moved = applyTransform(molA.atoms, R, t);
+    const dist2 = (i, j) => {
+        if (j < 0) return 0;
+        const p = moved[i], q = molB.atoms[j];
+        return (p[0] - q[0]) ** 2 + (p[1] - q[1]) ** 2 + (p[2] - q[2]) ** 2;
+    };
+
+    for (let parent = 0; parent < adj.length; parent++) {
+        const groups = new Map();
+        for (const i of adj[parent]) {
+            if (adj[i].size !== 1) continue;
+            const el = molA.elementIndexes[i];
+            if (!groups.has(el)) groups.set(el, []);
+            groups.get(el).push(i);
+        }
+        for (const group of groups.values()) {
+            if (group.length < 2 || group.length > MAX_TERMINAL_GROUP) continue;
+            const partners = group.map(i => mapping[i]);
+            if (partners.every(j => j < 0)) continue;
+            let best = partners;
+            let bestCost = Infinity;
+            for (const p of permutations(partners)) {
+                const cost = p.reduce((sum, j, k) => sum + dist2(group[k], j), 0);
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    best = p;
+                }
+            }
+            group.forEach((i, k) => { mapping[i] = best[k]; });
+        }
+    }
+}
+
+/**
+ * Among the symmetry-equivalent variants of `mapping` (molA -> molB), pick
+ * the one whose superposition has the lowest RMSD.
+ *
+ * Heavy-atom automorphisms of molA are enumerated and scored on heavy-atom
+ * pairs; terminal atoms are then re-paired around each parent. Returns
+ * `{ mapping, rmsd, automorphisms }` where `rmsd` (in input units, null
+ * when fewer than three atoms are mapped) covers every mapped pair.
+ */
+export function minimizeMappingRmsd(molA, molB, mapping, options = {}) {
+    const isHeavy = i => molA.elementIndexes[i] !== HYDROGEN;
+    const autos = enumerateAutomorphisms(molA, options);
+
+    let best = mapping;
+    let bestFit = alignedRmsd(molA, molB, mapping, isHeavy);
+    for (const perm of autos) {
+        const candidate = mapping.map((_, i) => mapping[perm[i]]);
+        const fit = alignedRmsd(molA, molB, candidate, isHeavy);
+        if (fit.rmsd !== null && (bestFit.rmsd === null || fit.rmsd < bestFit.rmsd - 1e-9)) {
+            best = candidate;
+            bestFit = fit;
+        }
+    }
+
+    const result = [...best];
+    const adj = adjacency(molA.bonds, molA.atoms.length);
+    let fit = bestFit.R ? bestFit : alignedRmsd(molA, molB, result);
+    if (fit.R) {
+        permuteTerminalAtoms(molA, molB, result, adj, fit.R, fit.t);
+    }
+    fit = alignedRmsd(molA, molB, result);
+
+    return { mapping: result, rmsd: fit.rmsd, automorphisms: autos.length };
+}
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { applyTransform, computeAlignment, multiplyMatrixVec, transpose } from '../alignment.js';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+function assertRotation(R) {
+    // Rᵀ R = I and det R = +1
+    const Rt = transpose(R);
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            const dot = Rt[i][0] * Rt[j][0] + Rt[i][1] * Rt[j][1] + Rt[i][2] * Rt[j][2];
+            close(dot, i === j ? 1 : 0);
+        }
+    }
+    const det = R[0][0] * (R[1][1] * R[2][2] - R[1][2] * R[2][1]) -
+        R[0][1] * (R[1][0] * R[2][2] - R[1][2] * R[2][0]) +
+        R[0][2] * (R[1][0] * R[2][1] - R[1][1] * R[2][0]);
+    close(det, 1);
+}
+
+function rotationAbout(axis, angle) {
+    const [x, y, z] = axis.map(v => v / Math.hypot(...axis));
+    const c = Math.cos(angle), s = Math.sin(angle), k = 1 - c;
+    return [
+        [c + x * x * k, x * y * k - z * s, x * z * k + y * s],
+        [y * x * k + z * s, c + y * y * k, y * z * k - x * s],
+        [z * x * k - y * s, z * y * k + x * s, c + z * z * k],
+    ];
+}
+
+const POINTS = [[0, 0, 0], [1.5, 0, 0], [2, 1.4, 0], [0.5, 2.1, 0.8], [-1, 0.7, -1.2], [1, -1, 2]];
+
+test('recovers a known rotation and translation', () => {
+    const R0 = rotationAbout([1, 2, 3], 1.1);
+    const t0 = [3, -2, 0.5];
+    const moved = applyTransform(POINTS, R0, t0);
+    const { R, t, rmsd, count, degenerate, planar } = computeAlignment(POINTS, moved);
+    assertRotation(R);
+    R.forEach((row, i) => row.forEach((v, j) => close(v, R0[i][j], 1e-9)));
+    t.forEach((v, i) => close(v, t0[i], 1e-9));
+    close(rmsd, 0);
+    assert.equal(count, POINTS.length);
+    assert.equal(degenerate, false);
+    assert.equal(planar, false);
+});
+
+test('never returns a reflection', () => {
+    const mirrored = POINTS.map(([x, y, z]) => [x, y, -z]);
+    const { R, rmsd } = computeAlignment(POINTS, mirrored);
+    assertRotation(R);
+    assert.ok(rmsd > 0.1);
+});
+
+test('is deterministic', () => {
+    const moved = applyTransform(POINTS, rotationAbout([0, 1, 1], 2.5), [1, 1, 1]);
+    assert.deepEqual(computeAlignment(POINTS, moved), computeAlignment(POINTS, moved));
+});
+
+test('solves planar input exactly', () => {
+    const flat = [[0, 0, 0], [1.4, 0, 0], [2.1, 1.2, 0], [1.4, 2.4, 0], [0, 2.4, 0], [-0.7, 1.2, 0]];
+    const R0 = rotationAbout([1, -1, 0.5], 0.7);
+    const { R, rmsd, planar, degenerate } = computeAlignment(flat, applyTransform(flat, R0, [0, 0, 0]));
+    assertRotation(R);
+    close(rmsd, 0, 1e-9);
+    assert.equal(planar, true);
+    assert.equal(degenerate, false);
+    R.forEach((row, i) => row.forEach((v, j) => close(v, R0[i][j], 1e-9)));
+});
+
+test('flags collinear, coincident and tiny inputs as degenerate but still returns a rotation', () => {
+    const line = [[0, 0, 0], [1, 1, 1], [2, 2, 2], [3, 3, 3]];
+    const lineMoved = line.map(p => multiplyMatrixVec(rotationAbout([0, 0, 1], 0.4), p));
+    for (const [a, b] of [
+        [line, lineMoved],
+        [[[1, 1, 1], [1, 1, 1], [1, 1, 1]], [[2, 0, 0], [2, 0, 0], [2, 0, 0]]],
+        [[[0, 0, 0], [1, 0, 0]], [[0, 0, 0], [0, 1, 0]]],
+    ]) {
+        const result = computeAlignment(a, b);
+        assert.equal(result.degenerate, true);
+        assertRotation(result.R);
+        close(result.rmsd, 0, 1e-9);
+        assert.deepEqual(computeAlignment(a, b), result);
+    }
+});
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { test } from 'node:test';
+import { parseSdf } from '../sdf.js';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+const fixture = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+// Offline throughout, so nothing reaches PubChem
+function run(...args) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args, '--offline'], { encoding: 'utf8' });
+    return { status, stdout, stderr };
+}
+
+test('prints usage with --help', () => {
+    const { status, stdout } = run('--help');
+    assert.equal(status, 0);
+    assert.match(stdout, /^Usage: pubchemtest <command>/);
+});
+
+test('info prints descriptors as JSON', () => {
+    const { status, stdout, stderr } = run('info', '--json', fixture('ethanol.sdf'));
+    assert.equal(status, 0, stderr);
+    const info = JSON.parse(stdout);
+    assert.equal(info.formula, 'C2H6O');
+    assert.equal(info.atoms, 9);
+});
+
+test('align writes the structures to stdout and the report to stderr', () => {
+    const { status, stdout, stderr } = run('align', fixture('ethanol.sdf'), fixture('ethanol-v3000.mol'));
+    assert.equal(status, 0, stderr);
+    assert.equal(parseSdf(stdout).length, 2);
+    assert.match(stderr, /9\/9 atoms matched/);
+});
+
+test('map prints a complete mapping between identical structures', () => {
+    const { status, stdout, stderr } = run('map', fixture('ethanol.sdf'), fixture('ethanol-v3000.mol'));
+    assert.equal(status, 0, stderr);
+    const { score, matchedAtoms, mapping } = JSON.parse(stdout);
+    assert.equal(score, 1);
+    assert.equal(matchedAtoms, 9);
+    assert.deepEqual(mapping.map(m => m.partner), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('exits with 2 on usage errors', () => {
+    for (const args of [['bogus'], ['info', '--nope'], ['fetch', '--format', 'nope', fixture('ethanol.sdf')]]) {
+        const { status, stdout, stderr } = run(...args);
+        assert.equal(status, 2, args.join(' '));
+        assert.equal(stdout, '');
+        assert.match(stderr, /Run "pubchemtest --help" for usage/);
+    }
+});
+
+test('exits with 1 when an input cannot be loaded', () => {
+    const { status, stdout, stderr } = run('info', fixture('missing.sdf'));
+    assert.equal(status, 1);
+    assert.equal(stdout, '');
+    assert.match(stderr, /^pubchemtest: /);
+});
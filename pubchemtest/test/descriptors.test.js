@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { computeDescriptors, implicitHydrogenCounts, molecularFormula } from '../descriptors.js';
+import { elementIndex } from '../elements.js';
+import { moleculeFromRecord } from '../molecule.js';
+import { parseSdf } from '../sdf.js';
+
+const load = name => moleculeFromRecord(parseSdf(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'))[0]);
+
+const close = (actual, expected, tolerance) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+/**
+ * Heavy-atom ring closed over `elements` with aromatic (type 4) bonds
+ */
+function aromaticRing(elements) {
+    return {
+        atoms: elements.map((_, i) => [Math.cos(i), Math.sin(i), 0]),
+        elementIndexes: elements.map(elementIndex),
+        bonds: elements.map((_, i) => ({ from: i, to: (i + 1) % elements.length, type: 4 })),
+    };
+}
+
+test('formula and masses of ethanol', () => {
+    const { formula, exactMass, averageMass, formalCharge, rings } = load('ethanol.sdf').descriptors;
+    assert.equal(formula, 'C2H6O');
+    close(exactMass, 46.041865, 1e-4);
+    close(averageMass, 46.069, 1e-2);
+    assert.equal(formalCharge, 0);
+    assert.deepEqual(rings, []);
+});
+
+test('Kekulé benzene is aromatic', () => {
+    const { formula, rings, aromaticAtoms, aromaticBonds, hybridization } = load('benzene.mol').descriptors;
+    assert.equal(formula, 'C6H6');
+    assert.equal(rings.length, 1);
+    assert.ok(aromaticAtoms.every(Boolean));
+    assert.ok(aromaticBonds.every(Boolean));
+    assert.ok(hybridization.every(h => h === 'sp2'));
+});
+
+test('pyrrole written with aromatic bonds keeps its N-H', () => {
+    const mol = load('pyrrole.mol');
+    const { formula, exactMass, aromaticAtoms, implicitHydrogens } = mol.descriptors;
+    assert.equal(formula, 'C4H5N');
+    close(exactMass, 67.042199, 1e-4);
+    assert.deepEqual(implicitHydrogens, [1, 1, 1, 1, 1]);
+    assert.ok(aromaticAtoms.every(Boolean));
+});
+
+test('implicit hydrogens on aromatic heterocycles', () => {
+    assert.equal(molecularFormula(aromaticRing(['N', 'C', 'C', 'C', 'C', 'C'])), 'C5H5N');
+    assert.equal(molecularFormula(aromaticRing(['O', 'C', 'C', 'C', 'C'])), 'C4H4O');
+    assert.equal(molecularFormula(aromaticRing(['S', 'C', 'C', 'C', 'C'])), 'C4H4S');
+    assert.equal(molecularFormula(aromaticRing(['N', 'C', 'N', 'C', 'C'])), 'C3H4N2');
+
+    // N-methylpyrrole: the substituted nitrogen takes no hydrogen
+    const methylpyrrole = aromaticRing(['N', 'C', 'C', 'C', 'C']);
+    methylpyrrole.atoms.push([2, 0, 0]);
+    methylpyrrole.elementIndexes.push(elementIndex('C'));
+    methylpyrrole.bonds.push({ from: 0, to: 5, type: 1 });
+    assert.deepEqual(implicitHydrogenCounts(methylpyrrole), [0, 1, 1, 1, 1, 3]);
+});
+
+test('labels a stereocentre R, and its mirror image S', () => {
+    const mol = load('bromochlorofluoromethane-r.mol');
+    assert.equal(mol.descriptors.formula, 'CHBrClF');
+    assert.deepEqual(mol.descriptors.stereocentres, [{ atom: 0, label: 'R', substituents: [1, 2, 3, 4] }]);
+
+    const mirror = { ...mol, atoms: mol.atoms.map(([x, y, z]) => [-x, y, z]) };
+    assert.equal(computeDescriptors(mirror).stereocentres[0].label, 'S');
+});
+
+test('flat input has stereocentres without a label', () => {
+    const mol = load('bromochlorofluoromethane-r.mol');
+    const flat = { ...mol, atoms: mol.atoms.map(([x, y]) => [x, y, 0]) };
+    assert.equal(computeDescriptors(flat).stereocentres[0].label, null);
+});
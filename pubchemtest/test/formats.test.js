@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ELEMENTS } from '../elements.js';
+import { detectFormat, parseMmcif, parseMolecule, parsePdb, parseXyz } from '../formats.js';
+import { moleculeFromRecord } from '../molecule.js';
+import { assignBondOrders, perceiveBonds } from '../perception.js';
+
+// Ethanol heavy atoms, then its hydrogens
+const ETHANOL = [
+    ['C', -0.8883, 0.1670, 0], ['C', 0.4874, -0.4544, 0], ['O', 1.4420, 0.6009, 0],
+    ['H', -1.6593, -0.6079, 0], ['H', -1.0218, 0.7902, 0.888], ['H', -1.0218, 0.7902, -0.888],
+    ['H', 0.6209, -1.0776, 0.888], ['H', 0.6209, -1.0776, -0.888], ['H', 2.3135, 0.1845, 0],
+];
+
+// Ethylene, which does have a double bond
+const ETHYLENE = [
+    ['C', 0, 0, 0.6695], ['C', 0, 0, -0.6695],
+    ['H', 0, 0.9289, 1.2321], ['H', 0, -0.9289, 1.2321], ['H', 0, 0.9289, -1.2321], ['H', 0, -0.9289, -1.2321],
+];
+
+const xyz = (atoms, comment = '') =>
+    `${atoms.length}\n${comment}\n${atoms.map(([el, ...p]) => `${el} ${p.join(' ')}`).join('\n')}\n`;
+
+// Fixed-column HETATM line; `name` is the raw four-column atom name
+const pdbAtom = (serial, name, residue, [x, y, z], element = '') =>
+    `HETATM${String(serial).padStart(5)} ${name.padEnd(4)} ${residue.padEnd(3)} A   1    ` +
+    `${[x, y, z].map(v => v.toFixed(3).padStart(8)).join('')}  1.00  0.00          ${element.padStart(2)}`;
+
+const symbols = mol => mol.elementIndexes.map(e => ELEMENTS[e]);
+const bondList = bonds => bonds.map(({ from, to, type }) => [from, to, type]);
+
+test('reads XYZ frames, with symbols or atomic numbers', () => {
+    const text = xyz(ETHANOL.slice(0, 3), 'first') + xyz([['6', 0, 0, 0], ['8', 1.2, 0, 0]], 'second');
+    const records = parseXyz(text);
+    assert.deepEqual(records.map(r => r.name), ['first', 'second']);
+    assert.deepEqual(records[0].atoms.map(a => a.element), ['C', 'C', 'O']);
+    assert.deepEqual(records[1].atoms.map(a => a.element), ['C', 'O']);
+    assert.deepEqual(records[0].bonds, []);
+    assert.equal(records[0].atoms[2].x, 1.442);
+});
+
+test('reports XYZ errors with line numbers', () => {
+    assert.throws(() => parseXyz('2\n\nC 0 0 0\nO 1 x 0\n'), { name: 'MoleculeParseError', line: 4 });
+    assert.throws(() => parseXyz('3\n\nC 0 0 0'), { line: 3 });
+    assert.throws(() => parseXyz('two\n'), { line: 1 });
+});
+
+test('reads PDB elements from columns 77-78 or the atom name', () => {
+    const text = [
+        pdbAtom(1, ' CA', 'GLY', [0, 0, 0]),
+        pdbAtom(2, 'CA', 'CA', [5, 0, 0]),
+        pdbAtom(3, 'HD21', 'ASN', [0, 1, 0]),
+        pdbAtom(4, 'FE1', 'HEM', [0, 0, 5]),
+        pdbAtom(5, ' X1', 'LIG', [0, 5, 0], 'CL'),
+    ].join('\n');
+    const [record] = parsePdb(text);
+    assert.deepEqual(record.atoms.map(a => a.element), ['C', 'Ca', 'H', 'Fe', 'Cl']);
+    assert.equal(record.atoms[0].name, 'CA');
+    assert.equal(record.atoms[0].residue, 'GLY');
+});
+
+test('reads PDB models, CONECT bond orders and record filters', () => {
+    const model = [pdbAtom(1, ' C1', 'LIG', [0, 0, 0]), pdbAtom(2, ' O1', 'LIG', [1.2, 0, 0]), pdbAtom(3, ' O', 'HOH', [5, 5, 5])];
+    const conect = ['CONECT    1    2    2', 'CONECT    2    1    1'];
+    const text = ['MODEL        1', ...model, 'ENDMDL', 'MODEL        2', ...model, 'ENDMDL', ...conect, 'END'].join('\n');
+    const records = parsePdb(text);
+    assert.equal(records.length, 2);
+    for (const record of records) {
+        assert.equal(record.atoms.length, 2, 'water is skipped');
+        assert.deepEqual(bondList(record.bonds), [[0, 1, 2]]);
+    }
+    assert.equal(parsePdb(text, { skipWater: false })[0].atoms.length, 3);
+    assert.equal(parsePdb(text, { residue: 'HOH', skipWater: false })[0].atoms.length, 1);
+    assert.deepEqual(parsePdb(text, { records: 'atom' }), []);
+});
+
+test('reports bad PDB coordinates with their line number', () => {
+    const text = [pdbAtom(1, ' C1', 'LIG', [0, 0, 0]), pdbAtom(2, ' O1', 'LIG', [1, 0, 0]).replace('   1.000', '   x.000')].join('\n');
+    assert.throws(() => parsePdb(text), { name: 'MoleculeParseError', line: 2 });
+});
+
+test('reads the mmCIF atom_site loop, with quoted values and models', () => {
+    const text = `data_ethanol
+loop_
+_atom_site.group_PDB
+_atom_site.type_symbol
+_atom_site.label_atom_id
+_atom_site.label_comp_id
+_atom_site.Cartn_x
+_atom_site.Cartn_y
+_atom_site.Cartn_z
+_atom_site.pdbx_formal_charge
+_atom_site.pdbx_PDB_model_num
+HETATM C "C1'" EOH -0.888 0.167 0.000 ? 1
+HETATM C C2 EOH 0.487 -0.454 0.000 ? 1
+HETATM O O EOH 1.442 0.601 0.000 -1 1
+HETATM C "C1'" EOH -0.888 0.167 0.100 ? 2
+#
+`;
+    const records = parseMmcif(text);
+    assert.equal(records.length, 2);
+    assert.equal(records[0].name, 'ethanol');
+    assert.deepEqual(records[0].atoms.map(a => a.name), ["C1'", 'C2', 'O']);
+    assert.equal(records[0].atoms[2].charge, -1);
+    assert.equal(records[1].atoms[0].z, 0.1);
+    assert.throws(() => parseMmcif(text.replace('0.000 -1 1', '0.000 -1')), { name: 'MoleculeParseError' });
+    assert.throws(() => parseMmcif('data_x\n'), /No _atom_site loop/);
+});
+
+test('detects formats from their content', () => {
+    assert.equal(detectFormat(xyz(ETHANOL)), 'xyz');
+    assert.equal(detectFormat(pdbAtom(1, ' C1', 'LIG', [0, 0, 0])), 'pdb');
+    assert.equal(detectFormat('data_x\nloop_\n_atom_site.id\n'), 'cif');
+    assert.equal(detectFormat('x\n\n\n  0  0  0  0  0  0  0  0  0  0999 V2000\nM  END\n'), 'sdf');
+    assert.equal(parseMolecule(xyz(ETHANOL))[0].atoms.length, 9);
+});
+
+test('perceives single bonds from distances, one partner per hydrogen', () => {
+    const atoms = ETHANOL.map(([, ...p]) => p);
+    const elements = ETHANOL.map(([el]) => ELEMENTS.indexOf(el));
+    const bonds = perceiveBonds(atoms, elements);
+    assert.deepEqual(bondList(bonds), [[0, 1, 1], [0, 3, 1], [0, 4, 1], [0, 5, 1], [1, 2, 1], [1, 6, 1], [1, 7, 1], [2, 8, 1]]);
+});
+
+test('guesses bond orders from valences when hydrogens are present', () => {
+    const atoms = ETHYLENE.map(([, ...p]) => p);
+    const elements = ETHYLENE.map(([el]) => ELEMENTS.indexOf(el));
+    const bonds = perceiveBonds(atoms, elements, { bondOrders: true });
+    assert.equal(bonds.find(b => b.from === 0 && b.to === 1).type, 2);
+    assert.ok(bonds.filter(b => b.to > 1).every(b => b.type === 1));
+
+    const ethanol = perceiveBonds(ETHANOL.map(([, ...p]) => p), ETHANOL.map(([el]) => ELEMENTS.indexOf(el)));
+    assignBondOrders(ETHANOL.map(([, ...p]) => p), ETHANOL.map(([el]) => ELEMENTS.indexOf(el)), ethanol);
+    assert.ok(ethanol.every(b => b.type === 1));
+});
+
+test('leaves perceived bonds single unless bond orders are asked for', () => {
+    // Heavy atoms only: valences would wrongly read C=C=O
+    const [record] = parseXyz(xyz(ETHANOL.slice(0, 3)));
+    const mol = moleculeFromRecord(record);
+    assert.deepEqual(symbols(mol), ['C', 'C', 'O']);
+    assert.deepEqual(bondList(mol.bonds), [[0, 1, 1], [1, 2, 1]]);
+    assert.ok(moleculeFromRecord(record, { bondOrders: true }).bonds.some(b => b.type > 1));
+});
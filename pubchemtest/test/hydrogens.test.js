@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ELEMENTS, elementIndex } from '../elements.js';
+import { addHydrogens, filterHydrogens } from '../hydrogens.js';
+
+function molecule(atoms, bonds) {
+    return {
+        atoms: atoms.map(([, ...p]) => p),
+        elementIndexes: atoms.map(([element]) => elementIndex(element)),
+        bonds: bonds.map(([from, to, type = 1]) => ({ from, to, type })),
+        charges: atoms.map(() => 0),
+        isotopes: atoms.map(() => null),
+    };
+}
+
+// Ethanol with all its hydrogens
+const ethanol = molecule(
+    [
+        ['C', -0.8883, 0.1670, 0], ['C', 0.4874, -0.4544, 0], ['O', 1.4420, 0.6009, 0],
+        ['H', -1.6593, -0.6079, 0], ['H', -1.0218, 0.7902, 0.888], ['H', -1.0218, 0.7902, -0.888],
+        ['H', 0.6209, -1.0776, 0.888], ['H', 0.6209, -1.0776, -0.888], ['H', 2.3135, 0.1845, 0],
+    ],
+    [[0, 1], [1, 2], [0, 3], [0, 4], [0, 5], [1, 6], [1, 7], [2, 8]]
+);
+
+const symbols = mol => mol.elementIndexes.map(e => ELEMENTS[e]).join('');
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+const angle = (a, centre, b) => {
+    const u = a.map((v, k) => v - centre[k]), w = b.map((v, k) => v - centre[k]);
+    return Math.acos((u[0] * w[0] + u[1] * w[1] + u[2] * w[2]) / (Math.hypot(...u) * Math.hypot(...w))) * 180 / Math.PI;
+};
+
+test('keeps all, polar or no hydrogens', () => {
+    assert.equal(filterHydrogens(ethanol, 'all').atoms.length, 9);
+
+    const polar = filterHydrogens(ethanol, 'polar');
+    assert.equal(symbols(polar), 'CCOH');
+    assert.deepEqual(polar.kept, [0, 1, 2, 8]);
+    assert.deepEqual(polar.bonds.map(b => [b.from, b.to]), [[0, 1], [1, 2], [2, 3]]);
+
+    const none = filterHydrogens(ethanol, 'none');
+    assert.equal(symbols(none), 'CCO');
+    assert.equal(none.isotopes.length, 3);
+    assert.throws(() => filterHydrogens(ethanol, 'some'), /Unknown hydrogens mode "some"/);
+});
+
+test('adds the hydrogens a heavy-atom skeleton is missing', () => {
+    const skeleton = filterHydrogens(ethanol, 'none');
+    const filled = addHydrogens(skeleton);
+    assert.equal(symbols(filled), 'CCOHHHHHH');
+    assert.deepEqual(filled.atoms.slice(0, 3), skeleton.atoms);
+    assert.equal(filled.bonds.length, 8);
+    assert.deepEqual(filled.charges, new Array(9).fill(0));
+    assert.deepEqual(filled.isotopes, new Array(9).fill(null));
+
+    for (const { from, to } of filled.bonds.slice(2)) {
+        const length = distance(filled.atoms[from], filled.atoms[to]);
+        assert.ok(length > 0.9 && length < 1.2, `X-H length ${length}`);
+    }
+    // Tetrahedral around the methyl carbon
+    const methylH = filled.bonds.filter(b => b.from === 0 && b.to > 2).map(b => filled.atoms[b.to]);
+    assert.equal(methylH.length, 3);
+    for (const h of methylH) assert.ok(Math.abs(angle(h, filled.atoms[0], filled.atoms[1]) - 109.47) < 1);
+});
+
+test('places trigonal hydrogens in the plane of a double bond', () => {
+    // Vinyl alcohol, CH2=CH-OH
+    const enol = molecule([['C', 0, 0, 0], ['C', 1.33, 0, 0], ['O', 2, 1.15, 0]], [[0, 1, 2], [1, 2]]);
+    const filled = addHydrogens(enol);
+    assert.equal(symbols(filled), 'CCOHHHH');
+    for (const p of filled.atoms) assert.ok(Math.abs(p[2]) < 1e-9, 'planar');
+});
+
+test('leaves complete molecules untouched', () => {
+    assert.equal(addHydrogens(ethanol), ethanol);
+});
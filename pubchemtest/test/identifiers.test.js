@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { formatIdentifier, identifierKey, parseIdentifier, parseIdentifierList } from '../identifiers.js';
+
+test('reads typed identifiers', () => {
+    assert.deepEqual(parseIdentifier('cid:702'), { type: 'cid', value: '702', raw: 'cid:702' });
+    assert.deepEqual(parseIdentifier('SMILES: CCO'), { type: 'smiles', value: 'CCO', raw: 'SMILES: CCO' });
+    assert.equal(parseIdentifier('formula:C2H6O').type, 'formula');
+});
+
+test('sniffs the type of untyped identifiers', () => {
+    assert.equal(parseIdentifier('702').type, 'cid');
+    assert.equal(parseIdentifier('InChI=1S/C2H6O/c1-2-3/h3H,2H2,1H3').type, 'inchi');
+    assert.equal(parseIdentifier('LFQSCWFLJHTTHZ-UHFFFAOYSA-N').type, 'inchikey');
+    assert.equal(parseIdentifier('previtamin d2').type, 'name');
+    // An unknown prefix is part of a name
+    assert.deepEqual(parseIdentifier('vitamin:d2'), { type: 'name', value: 'vitamin:d2', raw: 'vitamin:d2' });
+});
+
+test('rejects empty identifiers and non-numeric CIDs', () => {
+    assert.throws(() => parseIdentifier('  '), /Empty compound identifier/);
+    assert.throws(() => parseIdentifier('smiles:'), /Empty smiles/);
+    assert.throws(() => parseIdentifier('cid:abc'), /Invalid CID "abc"/);
+});
+
+test('formats and keys identifiers', () => {
+    assert.equal(formatIdentifier('702'), 'cid:702');
+    assert.equal(formatIdentifier('Ethanol'), 'Ethanol');
+    assert.equal(identifierKey('Ethanol'), identifierKey('ETHANOL'));
+    assert.notEqual(identifierKey('smiles:CCO'), identifierKey('smiles:cco'));
+});
+
+test('splits ";"-separated lists, keeping InChI layers together', () => {
+    assert.deepEqual(parseIdentifierList(' ergosterol ; cid:5280793;;smiles:CCO '), ['ergosterol', 'cid:5280793', 'smiles:CCO']);
+    const inchi = 'InChI=1S/2C2H6O/c2*1-2-3/h2*3H,2H2,1H3;1H';
+    assert.deepEqual(parseIdentifierList(`${inchi};ethanol;cid:702`), [`${inchi};ethanol`, 'cid:702']);
+    assert.deepEqual(parseIdentifierList(`inchi:${inchi};name:ethanol`), [`inchi:${inchi}`, 'name:ethanol']);
+    assert.deepEqual(parseIdentifierList(''), []);
+});
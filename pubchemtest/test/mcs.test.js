@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { computeAtomMapping } from '../mcs.js';
+import { elementIndex } from '../elements.js';
+
+// Ergostane-like skeleton in steroid numbering (1-based), with the 3-OH
+const STEROID_BONDS = [
+    [1, 2], [2, 3], [3, 4], [4, 5], [5, 10], [10, 1],
+    [5, 6], [6, 7], [7, 8], [8, 9], [9, 10],
+    [9, 11], [11, 12], [12, 13], [13, 14], [14, 8],
+    [14, 15], [15, 16], [16, 17], [17, 13],
+    [13, 18], [10, 19], [17, 20], [20, 21], [20, 22], [22, 23], [23, 24],
+    [24, 25], [25, 26], [25, 27], [24, 28], [3, 29],
+];
+
+function steroid() {
+    const n = 29;
+    // Deterministic, well spread coordinates; geometry is irrelevant here
+    const atoms = Array.from({ length: n }, (_, i) => [Math.sin(i * 1.7) * 4, Math.cos(i * 2.3) * 4, (i % 7) - 3]);
+    const elementIndexes = atoms.map((_, i) => elementIndex(i === n - 1 ? 'O' : 'C'));
+    const bonds = STEROID_BONDS.map(([a, b]) => ({ from: a - 1, to: b - 1, type: 1 }));
+    return { atoms, elementIndexes, bonds };
+}
+
+/**
+ * The same molecule with its atoms and bonds listed in another order;
+ * `perm[i]` is the new index of atom i
+ */
+function renumber(mol, perm) {
+    const atoms = [], elementIndexes = [];
+    perm.forEach((to, from) => {
+        atoms[to] = mol.atoms[from];
+        elementIndexes[to] = mol.elementIndexes[from];
+    });
+    const bonds = mol.bonds.map(b => ({ from: perm[b.to], to: perm[b.from], type: b.type })).reverse();
+    return { atoms, elementIndexes, bonds };
+}
+
+function shuffled(n, seed) {
+    const perm = [...Array(n).keys()];
+    for (let i = n - 1; i > 0; i--) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        const j = seed % (i + 1);
+        [perm[i], perm[j]] = [perm[j], perm[i]];
+    }
+    return perm;
+}
+
+test('maps a renumbered copy of a molecule completely', () => {
+    const mol = steroid();
+    for (const seed of [1, 2, 3]) {
+        const perm = shuffled(mol.atoms.length, seed);
+        const result = computeAtomMapping(mol, renumber(mol, perm));
+        assert.equal(result.complete, true);
+        assert.equal(result.matchedBonds.length, mol.bonds.length);
+        assert.deepEqual(result.mapping, perm);
+        assert.ok(result.rmsd < 1e-6);
+    }
+});
+
+test('maps a ring-opened variant onto its parent', () => {
+    const mol = steroid();
+    // Break the 9-10 bond, as in the previtamin D ring opening
+    const opened = { ...mol, bonds: mol.bonds.filter(b => !(b.from === 8 && b.to === 9)) };
+    const result = computeAtomMapping(mol, renumber(opened, shuffled(mol.atoms.length, 4)), { symmetry: false });
+    assert.equal(result.mapping.filter(b => b >= 0).length, mol.atoms.length);
+    // Ring membership changes along the opened ring, so those bonds do not
+    // count, but everything outside it does
+    assert.ok(result.matchedBonds.length >= 20, `${result.matchedBonds.length} bonds matched`);
+});
+
+test('identical molecules with equivalent atoms map onto themselves', () => {
+    const benzene = {
+        atoms: Array.from({ length: 6 }, (_, i) => [Math.cos(i * Math.PI / 3), Math.sin(i * Math.PI / 3), 0]),
+        elementIndexes: new Array(6).fill(elementIndex('C')),
+        bonds: Array.from({ length: 6 }, (_, i) => ({ from: i, to: (i + 1) % 6, type: 4 })),
+    };
+    const result = computeAtomMapping(benzene, benzene);
+    assert.deepEqual(result.mapping, [0, 1, 2, 3, 4, 5]);
+    assert.equal(result.score, 1);
+});
+
+test('stops seeding the search once the budget runs out', () => {
+    // Long carbon chains, one with a methyl moved, leave a greedy descent
+    // from every atom with plenty of work
+    const chain = (n, branch) => ({
+        atoms: Array.from({ length: n }, (_, i) => [i * 1.3, i % 2 * 0.8, 0]),
+        elementIndexes: new Array(n).fill(elementIndex('C')),
+        bonds: Array.from({ length: n - 1 }, (_, i) => ({ from: i, to: i === n - 2 ? branch : i + 1, type: 1 })),
+    });
+    const started = Date.now();
+    const result = computeAtomMapping(chain(300, 299), chain(300, 150), { maxSteps: 100, symmetry: false });
+    assert.equal(result.complete, false);
+    assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+});
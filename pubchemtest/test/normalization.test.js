@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { test } from 'node:test';
+import { getMoleculePoints } from '../index.js';
+import { fitNormalization, normalizePoints, normalizeSequence, toAngstrom } from '../normalization.js';
+import { createFixtureResolver } from '../sources.js';
+
+const ethanol = await readFile(new URL('./fixtures/ethanol.sdf', import.meta.url), 'utf8');
+const resolver = createFixtureResolver({ ethanol });
+
+const assertClose = (actual, expected, tolerance = 1e-9) => {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((p, i) => p.forEach((v, k) => {
+        assert.ok(Math.abs(v - expected[i][k]) < tolerance, `point ${i}: ${p} vs ${expected[i]}`);
+    }));
+};
+
+const POINTS = [[0, 0, 0], [4, 0, 0], [0, 2, 0], [1, 1, 3]];
+
+test('fits points into a unit cube, without enlarging small sets', () => {
+    const { center, scale } = fitNormalization([POINTS]);
+    assert.deepEqual(center, [2, 1, 1.5]);
+    assert.equal(scale, 0.25);
+    assert.deepEqual(fitNormalization([[[0, 0, 0], [0.5, 0, 0]]]), { center: [0.25, 0, 0], scale: 1 });
+    assert.deepEqual(fitNormalization([[]]), { center: [0, 0, 0], scale: 1 });
+});
+
+test('normalizePoints and toAngstrom undo each other', () => {
+    const R = [[0, -1, 0], [1, 0, 0], [0, 0, 1]];
+    const t = [1, 2, 3];
+    const superposed = POINTS.map(([x, y, z]) => [-y + 1, x + 2, z + 3]);
+    const transform = { R, t, ...fitNormalization([superposed]) };
+    const scene = normalizePoints(superposed, transform);
+    assertClose(toAngstrom(scene, transform), superposed);
+    assertClose(toAngstrom(scene, transform, { source: true }), POINTS);
+});
+
+test('a sequence shares one frame and keeps relative sizes', () => {
+    const identity = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    const molecules = [POINTS, POINTS.map(p => p.map(v => v * 2))].map(atoms => ({
+        atoms,
+        transform: { R: identity, t: [0, 0, 0], center: [0, 0, 0], scale: 1 },
+    }));
+    const [small, large] = normalizeSequence(molecules);
+    assert.equal(small.transform.scale, large.transform.scale);
+    assert.deepEqual(small.transform.center, large.transform.center);
+    const span = mol => mol.atoms[1][0] - mol.atoms[0][0];
+    assert.ok(Math.abs(span(large) - 2 * span(small)) < 1e-12);
+    assertClose(toAngstrom(large.atoms, large.transform), molecules[1].atoms);
+});
+
+test('getMoleculePoints normalizes per molecule, to a given frame or not at all', async () => {
+    const fitted = await getMoleculePoints('ethanol', 0.45, null, { resolver });
+    const angstrom = await getMoleculePoints('ethanol', 0.45, null, { resolver, normalize: 'none' });
+    assertClose(toAngstrom(fitted.atoms, fitted.transform), angstrom.atoms);
+    const shared = await getMoleculePoints('ethanol', 0.45, null, { resolver, normalize: { center: [1, 0, 0], scale: 0.5 } });
+    assertClose(shared.atoms, angstrom.atoms.map(([x, y, z]) => [(x - 1) * 0.5, y * 0.5, z * 0.5]));
+});
+
+test('getMoleculePoints rejects unknown normalize modes', async () => {
+    await assert.rejects(getMoleculePoints('ethanol', 0.45, null, { resolver, normalize: 'sequence' }), /Unknown normalize mode "sequence"/);
+});
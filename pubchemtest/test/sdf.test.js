@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { moleculeFromRecord } from '../molecule.js';
+import { SdfParseError, parseSdf } from '../sdf.js';
+import { writeSdf } from '../writers.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const summary = record => ({
+    atoms: record.atoms.map(a => [a.element, a.x, a.y, a.z]),
+    bonds: record.bonds.map(b => [b.from, b.to, b.type]),
+});
+
+test('reads a V2000 record with its data items', () => {
+    const [record] = parseSdf(fixture('ethanol.sdf'));
+    assert.equal(record.name, 'ethanol');
+    assert.equal(record.version, 'V2000');
+    assert.equal(record.atoms.length, 9);
+    assert.deepEqual(record.atoms[2], { ...record.atoms[2], element: 'O', x: 1.442, y: 0.6009, z: 0 });
+    assert.deepEqual(record.bonds[1], { ...record.bonds[1], from: 1, to: 2, type: 1 });
+    assert.deepEqual(record.data, { PUBCHEM_COMPOUND_CID: '702' });
+});
+
+test('reads V3000 the same as V2000', () => {
+    const [v2000] = parseSdf(fixture('ethanol.sdf'));
+    const [v3000] = parseSdf(fixture('ethanol-v3000.mol'));
+    assert.equal(v3000.version, 'V3000');
+    assert.deepEqual(summary(v3000), summary(v2000));
+});
+
+test('round-trips through writeSdf', () => {
+    const [record] = parseSdf(fixture('ethanol.sdf'));
+    const mol = moleculeFromRecord(record);
+    const [again] = parseSdf(writeSdf([mol]));
+    assert.deepEqual(summary(again), summary(record));
+});
+
+test('reads every record of a multi-record file', () => {
+    const text = fixture('ethanol.sdf') + fixture('benzene.mol') + '$$$$\n';
+    assert.deepEqual(parseSdf(text).map(r => r.name), ['ethanol', 'benzene']);
+});
+
+test('reports parse errors with their line number', () => {
+    const lines = fixture('ethanol.sdf').split('\n');
+    const broken = (index, text) => lines.map((l, i) => (i === index ? text : l)).join('\n');
+    const cases = [
+        [broken(3, 'nine atoms'), 4, /Invalid counts line/],
+        [broken(6, '    1.4420    oxygen    0.0000 O   0  0'), 7, /Invalid/],
+        [[...lines.slice(0, 8), 'M  END'].join('\n'), 9, /Expected 9 atoms and 8 bonds/],
+        [lines.filter(l => !l.startsWith('M  END')).join('\n'), 24, /no "M  END"/],
+    ];
+    for (const [text, line, message] of cases) {
+        assert.throws(() => parseSdf(text), err => {
+            assert.ok(err instanceof SdfParseError);
+            assert.equal(err.line, line);
+            assert.match(err.message, new RegExp(`^Line ${line}: `));
+            assert.match(err.message, message);
+            return true;
+        });
+    }
+});
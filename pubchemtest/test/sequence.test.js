@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { buildMorphSequence } from '../sequence.js';
+import { createFixtureResolver } from '../sources.js';
+
+const ethanol = readFileSync(new URL('./fixtures/ethanol.sdf', import.meta.url), 'utf8');
+const benzene = readFileSync(new URL('./fixtures/benzene.mol', import.meta.url), 'utf8');
+
+// Fixture resolver that records what it was asked for
+function countingResolver(fixtures) {
+    const resolver = createFixtureResolver(fixtures);
+    const requested = [];
+    return {
+        requested,
+        name: 'counting',
+        resolve(identifier, options) {
+            requested.push(identifier);
+            return resolver.resolve(identifier, options);
+        },
+    };
+}
+
+test('skips compounds that fail and keeps the rest in order', async () => {
+    const resolver = countingResolver({ ethanol, benzene });
+    const { molecules, items } = await buildMorphSequence(['ethanol', 'missing', 'benzene'], { resolver });
+    assert.deepEqual(items.map(item => item.status), ['ok', 'error', 'ok']);
+    assert.equal(items[1].error.code, 'not-found');
+    assert.deepEqual(molecules.map(mol => mol.identifier), ['ethanol', 'benzene']);
+});
+
+test('reports each superposition as the molecules are aligned', async () => {
+    const resolver = countingResolver({ ethanol, benzene });
+    const aligned = [];
+    await buildMorphSequence(['ethanol', 'ethanol', 'benzene'], {
+        resolver,
+        onProgress: ({ type, index, alignment }) => {
+            if (type === 'aligned') aligned[index] = alignment;
+        },
+    });
+    assert.equal(aligned[0], null);
+    assert.equal(aligned[1].degenerate, false);
+    assert.ok(aligned[1].rmsd < 1e-6);
+    assert.ok(aligned[1].count >= 3);
+});
+
+test('a retry with reuse fetches only the compounds that failed', async () => {
+    const fixtures = { ethanol, benzene };
+    const resolver = countingResolver(fixtures);
+    const identifiers = ['ethanol', 'late', 'benzene'];
+    const first = await buildMorphSequence(identifiers, { resolver });
+    assert.equal(first.molecules.length, 2);
+
+    fixtures.late = ethanol;
+    const retryResolver = countingResolver(fixtures);
+    const events = [];
+    const retry = await buildMorphSequence(identifiers, {
+        resolver: retryResolver,
+        reuse: first.items,
+        onProgress: ({ type, index }) => events.push(`${type} ${index}`),
+    });
+    assert.deepEqual(retryResolver.requested, ['late']);
+    assert.deepEqual(retry.molecules.map(mol => mol.identifier), identifiers);
+    assert.ok(!events.includes('loading 0') && events.includes('loading 1'));
+    assert.ok(events.includes('aligned 0') && events.includes('aligned 2'));
+});
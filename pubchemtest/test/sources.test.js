@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import {
+    MoleculeSourceError,
+    createCachedResolver,
+    createChainResolver,
+    createFileSystemStore,
+    createFixtureResolver,
+    createLocalDirectoryResolver,
+    createMemoryStore,
+    createPubChemResolver,
+} from '../sources.js';
+
+const ethanol = await readFile(new URL('./fixtures/ethanol.sdf', import.meta.url), 'utf8');
+
+// Resolver that records what it was asked for and answers with `answer`
+function recordingResolver(name, answer) {
+    const requested = [];
+    return {
+        requested,
+        name,
+        async resolve(identifier) {
+            requested.push(identifier);
+            return answer(identifier);
+        },
+    };
+}
+
+async function withTempDir(fn) {
+    const dir = await mkdtemp(join(tmpdir(), 'pubchemtest-'));
+    try {
+        return await fn(dir);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('fixture lookups ignore the case of names', async () => {
+    const resolver = createFixtureResolver({ Ethanol: ethanol });
+    const result = await resolver.resolve('ETHANOL');
+    assert.equal(result.text, ethanol);
+    await assert.rejects(resolver.resolve('methanol'), { name: 'MoleculeSourceError', code: 'not-found' });
+});
+
+test('a chain falls through not-found to the next resolver', async () => {
+    const second = recordingResolver('second', identifier => ({ identifier, text: ethanol, format: 'sdf', cid: 702 }));
+    const chain = createChainResolver([createFixtureResolver({}), second]);
+    const result = await chain.resolve('ethanol');
+    assert.equal(result.cid, 702);
+    assert.deepEqual(second.requested, ['ethanol']);
+    assert.equal(chain.name, 'fixture+second');
+});
+
+test('a chain stops at the first error other than not-found', async () => {
+    const failing = recordingResolver('failing', identifier => {
+        throw new MoleculeSourceError('offline', { identifier, code: 'network' });
+    });
+    const after = recordingResolver('after', () => assert.fail('should not be reached'));
+    await assert.rejects(createChainResolver([failing, after]).resolve('ethanol'), { code: 'network' });
+    assert.deepEqual(after.requested, []);
+});
+
+test('a chain reports not-found when every resolver misses', async () => {
+    const chain = createChainResolver([createFixtureResolver({}), createFixtureResolver({})]);
+    await assert.rejects(chain.resolve('ethanol'), { code: 'not-found' });
+});
+
+test('the cache fetches each identifier once and shares concurrent requests', async () => {
+    const source = recordingResolver('source', identifier => ({ identifier, text: ethanol, format: 'sdf', cid: 702 }));
+    const cached = createCachedResolver(source, { store: createMemoryStore() });
+    const [a, b] = await Promise.all([cached.resolve('ethanol'), cached.resolve('Ethanol')]);
+    const c = await cached.resolve('ethanol');
+    assert.deepEqual(source.requested, ['ethanol']);
+    for (const result of [a, b, c]) assert.equal(result.text, ethanol);
+    assert.equal(c.cid, 702);
+});
+
+test('the cache keeps single structures and conformer sets apart', async () => {
+    const source = recordingResolver('source', identifier => ({ identifier, text: ethanol, format: 'sdf', cid: null }));
+    const cached = createCachedResolver(source, { store: createMemoryStore() });
+    await cached.resolve('ethanol');
+    await cached.resolve('ethanol', { conformers: 3 });
+    assert.equal(source.requested.length, 2);
+});
+
+test('a cached entry survives into a new resolver over the same store', async () => {
+    await withTempDir(async dir => {
+        const source = recordingResolver('source', identifier => ({ identifier, text: ethanol, format: 'sdf', cid: 702 }));
+        await createCachedResolver(source, { store: createFileSystemStore(dir) }).resolve('ethanol');
+        const again = await createCachedResolver(source, { store: createFileSystemStore(dir) }).resolve('ethanol');
+        assert.equal(again.text, ethanol);
+        assert.equal(source.requested.length, 1);
+    });
+});
+
+test('file system stores return undefined for missing keys', async () => {
+    await withTempDir(async dir => {
+        const store = createFileSystemStore(join(dir, 'nested'));
+        assert.equal(await store.get('missing'), undefined);
+        await store.set('a/b', 'value');
+        assert.equal(await store.get('a/b'), 'value');
+    });
+});
+
+test('local directories are searched by lower-cased and underscored names', async () => {
+    await withTempDir(async dir => {
+        await writeFile(join(dir, 'ethyl_alcohol.sdf'), ethanol);
+        const resolver = createLocalDirectoryResolver(dir);
+        const result = await resolver.resolve('Ethyl Alcohol');
+        assert.equal(result.format, 'sdf');
+        assert.equal(result.text, ethanol);
+        await assert.rejects(resolver.resolve('methanol'), { code: 'not-found' });
+    });
+});
+
+// Stand-in for PUG REST where "ethanol" names two compounds
+function fakePubChem() {
+    const requested = [];
+    const json = body => new Response(JSON.stringify(body), { status: 200 });
+    const fetch = async url => {
+        requested.push(url);
+        if (url.endsWith('/compound/name/ethanol/cids/JSON')) return json({ IdentifierList: { CID: [702, 6432250] } });
+        if (url.includes('/property/')) {
+            return json({ PropertyTable: { Properties: [{ CID: 702, Title: 'Ethanol', MolecularFormula: 'C2H6O' }] } });
+        }
+        if (url.endsWith('/compound/cid/702/SDF?record_type=3d')) return new Response(ethanol, { status: 200 });
+        return new Response('', { status: 404 });
+    };
+    return { fetch, requested, baseUrl: 'https://pubchem.test' };
+}
+
+test('PubChem reports the candidates of an ambiguous name by default', async () => {
+    const { fetch, baseUrl } = fakePubChem();
+    await assert.rejects(createPubChemResolver({ fetch, baseUrl }).resolve('ethanol'), err => {
+        assert.equal(err.code, 'ambiguous');
+        assert.deepEqual(err.candidates, [
+            { cid: 702, title: 'Ethanol', formula: 'C2H6O' },
+            { cid: 6432250, title: null, formula: null },
+        ]);
+        return true;
+    });
+});
+
+test('PubChem takes the first match when asked to', async () => {
+    const { fetch, baseUrl } = fakePubChem();
+    const result = await createPubChemResolver({ fetch, baseUrl, ambiguity: 'first' }).resolve('ethanol');
+    assert.equal(result.cid, 702);
+    assert.equal(result.text, ethanol);
+});
+
+test('the cache keeps the results of each ambiguity policy apart', async () => {
+    const { fetch, baseUrl } = fakePubChem();
+    const store = createMemoryStore();
+    await createCachedResolver(createPubChemResolver({ fetch, baseUrl, ambiguity: 'first' }), { store }).resolve('ethanol');
+    const strict = createCachedResolver(createPubChemResolver({ fetch, baseUrl }), { store });
+    await assert.rejects(strict.resolve('ethanol'), { code: 'ambiguous' });
+});
+
+test('store failures are reported and do not stop loading', async () => {
+    const broken = {
+        async get() { throw new Error('read failed'); },
+        async set() { throw new Error('write failed'); },
+    };
+    const errors = [];
+    const source = recordingResolver('source', identifier => ({ identifier, text: ethanol, format: 'sdf', cid: 702 }));
+    const cached = createCachedResolver(source, { store: broken, onError: (err, identifier) => errors.push([err.message, identifier]) });
+    assert.equal((await cached.resolve('ethanol')).text, ethanol);
+    assert.deepEqual(errors, [['read failed', 'ethanol'], ['write failed', 'ethanol']]);
+});
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { elementIndex } from '../elements.js';
+import { enumerateAutomorphisms, minimizeMappingRmsd } from '../symmetry.js';
+
+function molecule(atoms, bonds) {
+    return {
+        atoms: atoms.map(([, ...p]) => p),
+        elementIndexes: atoms.map(([element]) => elementIndex(element)),
+        bonds: bonds.map(([from, to, type = 1]) => ({ from, to, type })),
+    };
+}
+
+const benzene = molecule(
+    Array.from({ length: 6 }, (_, i) => ['C', 1.39 * Math.cos(i * Math.PI / 3), 1.39 * Math.sin(i * Math.PI / 3), 0]),
+    Array.from({ length: 6 }, (_, i) => [i, (i + 1) % 6, i % 2 ? 1 : 2])
+);
+
+// 1,1-dichloro-1-fluoroethane: the two chlorines are equivalent
+const ATOMS = [['C', 0, 0, 0], ['C', 0, 0, -1.52], ['F', -1.1, -0.64, 0.45], ['Cl', 0, 1.67, 0.59], ['Cl', 1.45, -0.83, 0.59]];
+const BONDS = [[0, 1], [0, 2], [0, 3], [0, 4]];
+
+test('finds every symmetry of a ring, ignoring Kekulé bond orders', () => {
+    const autos = enumerateAutomorphisms(benzene);
+    assert.equal(autos.length, 12);
+    for (const perm of autos) assert.deepEqual([...perm].sort(), [0, 1, 2, 3, 4, 5]);
+});
+
+test('finds only the identity of an asymmetric graph', () => {
+    const ethanol = molecule([['C', 0, 0, 0], ['C', 1.5, 0, 0], ['O', 2, 1.4, 0]], [[0, 1], [1, 2]]);
+    assert.deepEqual(enumerateAutomorphisms(ethanol).map(p => [...p]), [[0, 1, 2]]);
+});
+
+test('swaps equivalent atoms when that lowers the RMSD', () => {
+    const molA = molecule(ATOMS, BONDS);
+    // molB lists the two chlorines the other way round
+    const molB = molecule([ATOMS[0], ATOMS[1], ATOMS[2], ATOMS[4], ATOMS[3]], BONDS);
+    const { mapping, rmsd } = minimizeMappingRmsd(molA, molB, [0, 1, 2, 3, 4]);
+    assert.deepEqual(mapping, [0, 1, 2, 4, 3]);
+    assert.ok(rmsd < 1e-6);
+});
+
+test('keeps a mapping that is already best', () => {
+    const molA = molecule(ATOMS, BONDS);
+    const { mapping, rmsd } = minimizeMappingRmsd(molA, molA, [0, 1, 2, 3, 4]);
+    assert.deepEqual(mapping, [0, 1, 2, 3, 4]);
+    assert.ok(rmsd < 1e-6);
+});
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { test } from 'node:test';
+import { ELEMENTS } from '../elements.js';
+import { parsePdb, parseXyz } from '../formats.js';
+import { loadMolecule } from '../molecule.js';
+import { parseSdf } from '../sdf.js';
+import { buildMorphSequence } from '../sequence.js';
+import { createFixtureResolver } from '../sources.js';
+import { writeMol2, writeMolecules, writePdb, writeXyz } from '../writers.js';
+
+const fixture = name => readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const resolver = createFixtureResolver({ ethanol: await fixture('ethanol.sdf'), benzene: await fixture('benzene.mol') });
+
+const ethanol = await loadMolecule('ethanol', { resolver });
+const benzene = await loadMolecule('benzene', { resolver });
+
+const assertClose = (actual, expected, tolerance) => {
+    actual.forEach((p, i) => p.forEach((v, k) => {
+        assert.ok(Math.abs(v - expected[i][k]) <= tolerance, `atom ${i}: ${p} vs ${expected[i]}`);
+    }));
+};
+const xyzOf = record => record.atoms.map(a => [a.x, a.y, a.z]);
+
+test('XYZ output reads back as the same atoms', () => {
+    const [first, second] = parseXyz(writeXyz([ethanol, { ...benzene, name: '' }]));
+    assert.equal(first.name, 'ethanol');
+    assert.equal(second.name, 'benzene');
+    assert.deepEqual(first.atoms.map(a => a.element), ethanol.elementIndexes.map(e => ELEMENTS[e]));
+    assertClose(xyzOf(first), ethanol.atoms, 1e-6);
+});
+
+test('PDB output reads back with its elements, charges and bond orders', () => {
+    const charged = { ...ethanol, charges: ethanol.charges.map((c, i) => (i === 2 ? -1 : c)) };
+    const [record] = parsePdb(writePdb([charged, benzene]));
+    assert.deepEqual(record.atoms.map(a => a.element), ethanol.elementIndexes.map(e => ELEMENTS[e]));
+    assert.deepEqual(record.atoms.slice(0, 3).map(a => a.name), ['C1', 'C2', 'O1']);
+    assert.equal(record.atoms[2].charge, -1);
+    assertClose(xyzOf(record), ethanol.atoms, 1e-3);
+
+    const ring = parsePdb(writePdb([benzene]))[0];
+    const orders = ring.bonds.map(b => b.type).sort();
+    assert.deepEqual(orders, benzene.bonds.map(b => b.type).sort());
+    assert.equal(parsePdb(writePdb([ethanol, benzene])).length, 2);
+});
+
+test('MOL2 output has SYBYL atom and bond types', () => {
+    const text = writeMol2([ethanol, benzene]);
+    const blocks = text.split('@<TRIPOS>MOLECULE').slice(1);
+    assert.equal(blocks.length, 2);
+    const atomTypes = block => block.split('@<TRIPOS>ATOM')[1].split('@<TRIPOS>BOND')[0]
+        .trim().split('\n').map(line => line.trim().split(/\s+/)[5]);
+    assert.deepEqual(atomTypes(blocks[0]), ['C.3', 'C.3', 'O.3', 'H', 'H', 'H', 'H', 'H', 'H']);
+    assert.ok(atomTypes(blocks[1]).slice(0, 6).every(type => type === 'C.ar'));
+    const bondTypes = blocks[1].split('@<TRIPOS>BOND')[1].split('@<TRIPOS>SUBSTRUCTURE')[0]
+        .trim().split('\n').map(line => line.trim().split(/\s+/)[3]);
+    assert.equal(bondTypes.filter(type => type === 'ar').length, 6);
+});
+
+test('writes aligned or source coordinates for a superposed sequence', async () => {
+    // Ethanol turned a quarter about z, superposed back onto ethanol
+    const turned = ethanol.atoms.map(([x, y, z]) => [-y, x, z]);
+    const turnedResolver = createFixtureResolver({
+        ethanol: await fixture('ethanol.sdf'),
+        turned: writeMolecules([{ ...ethanol, atoms: turned }], 'sdf'),
+    });
+    const { molecules } = await buildMorphSequence(['ethanol', 'turned'], { resolver: turnedResolver });
+    const [, aligned] = parseSdf(writeMolecules(molecules, 'sdf'));
+    const [, source] = parseSdf(writeMolecules(molecules, 'sdf', { frame: 'source' }));
+    assertClose(xyzOf(source), turned, 1e-3);
+    assertClose(xyzOf(aligned), ethanol.atoms, 1e-3);
+    assert.equal(aligned.data.ATOM_MAPPING, '1 2 3 4 5 6 7 8 9');
+});
+
+test('rejects unknown output formats', () => {
+    assert.throws(() => writeMolecules([ethanol], 'cml'), /Unsupported output format "cml"/);
+});
@@ -0,0 +1,286 @@
+import { ELEMENTS } from './elements.js';
+import { neighbourList } from './graph.js';
+import { toAngstrom } from './normalization.js';
+
+/**
+ * Writers for SDF, MOL2, XYZ and PDB. Each takes a list of molecules as
+ * returned by getMoleculePoints / buildMorphSequence and writes them as
+ * consecutive records, so a whole aligned sequence fits in one file.
+ *
+ * Coordinates are written in Ångströms. `frame: 'aligned'` (default) keeps
+ * the shared superposition frame; `frame: 'source'` undoes the
+ * superposition, giving each file's original coordinates.
+ */
+
+export const WRITE_FORMATS = ['sdf', 'mol2', 'xyz', 'pdb'];
+
+function coordinates(mol, frame) {
+    return mol.transform ? toAngstrom(mol.atoms, mol.transform, { source: frame === 'source' }) : mol.atoms;
+}
+
+function title(mol, index) {
+    return mol.name || (mol.identifier != null ? String(mol.identifier) : `molecule ${index + 1}`);
+}
+
+const fixed = (v, width, digits) => v.toFixed(digits).padStart(width);
+const int = (v, width) => String(v).padStart(width);
+
+/**
+ * Formal charge -> V2000 atom-block charge code (0 when outside ±3)
+ */
+const V2000_CHARGE_CODES = { 3: 1, 2: 2, 1: 3, 0: 0, '-1': 5, '-2': 6, '-3': 7 };
+
+/**
+ * Properties block lines ("M  CHG", "M  ISO") with at most 8 entries each
+ */
+function propertyLines(tag, entries) {
+    const lines = [];
+    for (let k = 0; k < entries.length; k += 8) {
+        const chunk = entries.slice(k, k + 8);
+        lines.push(`M  ${tag}${int(chunk.length, 3)}${chunk.map(([a, v]) => `${int(a + 1, 4)}${int(v, 4)}`).join('')}`);
+    }
+    return lines;
+}
+
+function molBlockV2000(mol, coords, name) {
+    const charges = mol.charges ?? [];
+    const isotopes = mol.isotopes ?? [];
+    const lines = [
+        name,
+        '  pubchemtest          3D',
+        '',
+        `${int(coords.length, 3)}${int(mol.bonds.length, 3)}  0  0  0  0  0  0  0  0999 V2000`,
+    ];
+    coords.forEach((p, i) => {
+        const symbol = ELEMENTS[mol.elementIndexes[i]] === 'Unknown' ? '*' : ELEMENTS[mol.elementIndexes[i]];
+        const code = V2000_CHARGE_CODES[charges[i] ?? 0] ?? 0;
+        lines.push(`${fixed(p[0], 10, 4)}${fixed(p[1], 10, 4)}${fixed(p[2], 10, 4)} ${symbol.padEnd(3)} 0${int(code, 3)}  0  0  0  0  0  0  0  0  0  0`);
+    });
+    mol.bonds.forEach(b => {
+        lines.push(`${int(b.from + 1, 3)}${int(b.to + 1, 3)}${int(b.type, 3)}${int(b.stereo ?? 0, 3)}`);
+    });
+    lines.push(...propertyLines('CHG', charges.map((c, i) => [i, c]).filter(([, c]) => c)));
+    lines.push(...propertyLines('ISO', isotopes.map((m, i) => [i, m]).filter(([, m]) => m)));
+    lines.push('M  END');
+    return lines;
+}
+
+function molBlockV3000(mol, coords, name) {
+    const charges = mol.charges ?? [];
+    const isotopes = mol.isotopes ?? [];
+    const lines = [
+        name,
+        '  pubchemtest          3D',
+        '',
+        '  0  0  0     0  0            999 V3000',
+        'M  V30 BEGIN CTAB',
+        `M  V30 COUNTS ${coords.length} ${mol.bonds.length} 0 0 0`,
+        'M  V30 BEGIN ATOM',
+    ];
+    coords.forEach((p, i) => {
+        const symbol = ELEMENTS[mol.elementIndexes[i]] === 'Unknown' ? '*' : ELEMENTS[mol.elementIndexes[i]];
+        const extra = `${charges[i] ? ` CHG=${charges[i]}` : ''}${isotopes[i] ? ` MASS=${isotopes[i]}` : ''}`;
+        lines.push(`M  V30 ${i + 1} ${symbol} ${p[0].toFixed(4)} ${p[1].toFixed(4)} ${p[2].toFixed(4)} 0${extra}`);
+    });
+    lines.push('M  V30 END ATOM', 'M  V30 BEGIN BOND');
+    mol.bonds.forEach((b, i) => lines.push(`M  V30 ${i + 1} ${b.type} ${b.from + 1} ${b.to + 1}`));
+    lines.push('M  V30 END BOND', 'M  V30 END CTAB', 'M  END');
+    return lines;
+}
+
+/**
+ * SD file, V2000 (V3000 above 999 atoms or bonds). Besides the identifier,
+ * CID, RMSD and mapping score, each record after the first carries
+ * ATOM_MAPPING: for every atom, the 1-based index of its partner in the
+ * molecule it was aligned to, or 0 when unmatched.
+ */
+export function writeSdf(molecules, { frame = 'aligned' } = {}) {
+    return molecules.map((mol, index) => {
+        const coords = coordinates(mol, frame);
+        const large = coords.length > 999 || mol.bonds.length > 999;
+        const lines = (large ? molBlockV3000 : molBlockV2000)(mol, coords, title(mol, index));
+
+        const data = {
+            IDENTIFIER: mol.identifier,
+            PUBCHEM_COMPOUND_CID: mol.cid,
+            CONFORMER: mol.conformer != null ? mol.conformer + 1 : null,
+            ATOM_MAPPING: mol.atomMapping ? mol.atomMapping.map(j => j + 1).join(' ') : null,
+            MAPPING_SCORE: mol.mappingScore != null ? mol.mappingScore.toFixed(4) : null,
+            RMSD: mol.rmsd != null ? mol.rmsd.toFixed(4) : null,
+        };
+        for (const [field, value] of Object.entries(data)) {
+            if (value == null) continue;
+            lines.push(`> <${field}>`, String(value), '');
+        }
+        lines.push('$$$$');
+        return lines.join('\n');
+    }).join('\n') + '\n';
+}
+
+/**
+ * SYBYL atom type from element, hybridization, aromaticity and neighbours
+ */
+function sybylType(mol, i, nbrs) {
+    const symbol = ELEMENTS[mol.elementIndexes[i]];
+    const d = mol.descriptors;
+    const hybrid = d?.hybridization[i];
+    const aromatic = d?.aromaticAtoms[i];
+    const charge = mol.charges?.[i] ?? 0;
+    const bondTypes = nbrs[i].map(({ bond }) => mol.bonds[bond].type);
+    const neighbourSymbols = nbrs[i].map(({ atom }) => ELEMENTS[mol.elementIndexes[atom]]);
+    const isAmideN = () => nbrs[i].some(({ atom }) =>
+        ELEMENTS[mol.elementIndexes[atom]] === 'C' &&
+        nbrs[atom].some(({ atom: o, bond }) => ELEMENTS[mol.elementIndexes[o]] === 'O' && mol.bonds[bond].type === 2));
+
+    switch (symbol) {
+        case 'C':
+            if (aromatic) return 'C.ar';
+            return hybrid === 'sp' ? 'C.1' : hybrid === 'sp2' ? 'C.2' : 'C.3';
+        case 'N':
+            if (aromatic) return 'N.ar';
+            if (charge > 0 && nbrs[i].length === 4) return 'N.4';
+            if (hybrid === 'sp') return 'N.1';
+            if (bondTypes.includes(2)) return 'N.2';
+            if (hybrid === 'sp2') return isAmideN() ? 'N.am' : 'N.pl3';
+            return 'N.3';
+        case 'O': {
+            // Carboxylate oxygens share their carbon with another terminal O
+            const [parent] = nbrs[i];
+            if (parent && nbrs[i].length === 1 && neighbourSymbols[0] === 'C' &&
+                nbrs[parent.atom].filter(({ atom }) =>
+                    ELEMENTS[mol.elementIndexes[atom]] === 'O' && nbrs[atom].length === 1).length === 2) {
+                return 'O.co2';
+            }
+            return bondTypes.includes(2) ? 'O.2' : 'O.3';
+        }
+        case 'S': {
+            const oxo = nbrs[i].filter(({ atom, bond }) =>
+                ELEMENTS[mol.elementIndexes[atom]] === 'O' && mol.bonds[bond].type === 2).length;
+            if (oxo === 1) return 'S.O';
+            if (oxo >= 2) return 'S.O2';
+            return bondTypes.includes(2) ? 'S.2' : 'S.3';
+        }
+        case 'P':
+            return 'P.3';
+        case 'Unknown':
+            return 'Du';
+        default:
+            return symbol;
+    }
+}
+
+function sybylBondType(mol, bondIndex, types) {
+    const b = mol.bonds[bondIndex];
+    if (mol.descriptors?.aromaticBonds[bondIndex] || b.type === 4) return 'ar';
+    const pair = [types[b.from], types[b.to]].sort().join(' ');
+    if (b.type === 1 && pair === 'C.2 N.am') return 'am';
+    return String(b.type);
+}
+
+/**
+ * Tripos MOL2 with SYBYL atom and bond types, one MOLECULE per record
+ */
+export function writeMol2(molecules, { frame = 'aligned' } = {}) {
+    return molecules.map((mol, index) => {
+        const coords = coordinates(mol, frame);
+        const nbrs = neighbourList(mol.bonds, coords.length);
+        const types = coords.map((_, i) => sybylType(mol, i, nbrs));
+        const counters = {};
+        const lines = [
+            '@<TRIPOS>MOLECULE',
+            title(mol, index),
+            `${coords.length} ${mol.bonds.length} 1 0 0`,
+            'SMALL',
+            'FORMAL_CHARGES',
+            '',
+            '@<TRIPOS>ATOM',
+        ];
+        coords.forEach((p, i) => {
+            const symbol = ELEMENTS[mol.elementIndexes[i]] === 'Unknown' ? 'Du' : ELEMENTS[mol.elementIndexes[i]];
+            counters[symbol] = (counters[symbol] ?? 0) + 1;
+            lines.push([
+                int(i + 1, 7), ` ${(symbol + counters[symbol]).padEnd(8)}`,
+                fixed(p[0], 10, 4), fixed(p[1], 10, 4), fixed(p[2], 10, 4),
+                ` ${types[i].padEnd(6)}`, '1', 'UNL1', fixed(mol.charges?.[i] ?? 0, 8, 4),
+            ].join(' '));
+        });
+        lines.push('@<TRIPOS>BOND');
+        mol.bonds.forEach((b, k) => {
+            lines.push(`${int(k + 1, 6)}${int(b.from + 1, 6)}${int(b.to + 1, 6)} ${sybylBondType(mol, k, types)}`);
+        });
+        lines.push('@<TRIPOS>SUBSTRUCTURE', '     1 UNL1        1 GROUP');
+        return lines.join('\n');
+    }).join('\n\n') + '\n';
+}
+
+/**
+ * XYZ, one frame per molecule with its name on the comment line
+ */
+export function writeXyz(molecules, { frame = 'aligned' } = {}) {
+    return molecules.map((mol, index) => {
+        const coords = coordinates(mol, frame);
+        const lines = [String(coords.length), title(mol, index)];
+        coords.forEach((p, i) => {
+            const symbol = ELEMENTS[mol.elementIndexes[i]] === 'Unknown' ? 'X' : ELEMENTS[mol.elementIndexes[i]];
+            lines.push(`${symbol.padEnd(2)} ${fixed(p[0], 12, 6)} ${fixed(p[1], 12, 6)} ${fixed(p[2], 12, 6)}`);
+        });
+        return lines.join('\n');
+    }).join('\n') + '\n';
+}
+
+/**
+ * PDB with HETATM records and CONECT bonds (a double bond is listed twice,
+ * as parsePdb reads it). Each molecule becomes a MODEL; `residue` names
+ * the ligand (default 'UNL').
+ */
+export function writePdb(molecules, { frame = 'aligned', residue = 'UNL' } = {}) {
+    const lines = [];
+    molecules.forEach((mol, index) => {
+        const coords = coordinates(mol, frame);
+        lines.push(`MODEL     ${int(index + 1, 4)}`);
+        lines.push(`COMPND    ${title(mol, index)}`.slice(0, 80));
+        const counters = {};
+        coords.forEach((p, i) => {
+            const symbol = ELEMENTS[mol.elementIndexes[i]] === 'Unknown' ? 'X' : ELEMENTS[mol.elementIndexes[i]];
+            counters[symbol] = (counters[symbol] ?? 0) + 1;
+            const name = `${symbol.toUpperCase()}${counters[symbol]}`.slice(0, 4);
+            // One-letter elements start in column 14 by convention
+            const nameField = symbol.length === 1 && name.length < 4 ? ` ${name.padEnd(3)}` : name.padEnd(4);
+            const charge = mol.charges?.[i] ?? 0;
+            const chargeField = charge ? `${Math.abs(charge)}${charge > 0 ? '+' : '-'}` : '  ';
+            lines.push(
+                `HETATM${int((i + 1) % 100000, 5)} ${nameField} ${residue.padEnd(3).slice(0, 3)} A   1    ` +
+                `${fixed(p[0], 8, 3)}${fixed(p[1], 8, 3)}${fixed(p[2], 8, 3)}  1.00  0.00          ` +
+                `${symbol.toUpperCase().padStart(2)}${chargeField}`
+            );
+        });
+
+        const partners = coords.map(() => []);
+        mol.bonds.forEach(b => {
+            const copies = Math.min(b.type === 4 ? 1 : b.type, 3);
+            for (let c = 0; c < copies; c++) {
+                partners[b.from].push(b.to);
+                partners[b.to].push(b.from);
+            }
+        });
+        partners.forEach((list, i) => {
+            for (let k = 0; k < list.length; k += 4) {
+                lines.push(`CONECT${int(i + 1, 5)}${list.slice(k, k + 4).map(j => int(j + 1, 5)).join('')}`);
+            }
+        });
+        lines.push('ENDMDL');
+    });
+    lines.push('END');
+    return lines.join('\n') + '\n';
+}
+
+const WRITERS = { sdf: writeSdf, mol2: writeMol2, xyz: writeXyz, pdb: writePdb };
+
+/**
+ * Write molecules in any of WRITE_FORMATS
+ */
+export function writeMolecules(molecules, format, options = {}) {
+    const writer = WRITERS[format];
+    if (!writer) throw new Error(`Unsupported output format "${format}"`);
+    return writer(molecules, options);
+}
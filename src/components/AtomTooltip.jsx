@@ -0,0 +1,32 @@
+import React from "react";
+
+const Row = ({ label, children }) => (
+    <div className="flex justify-between gap-3">
+        <span className="text-gray-400">{label}</span>
+        <span className="text-right">{children}</span>
+    </div>
+);
+
+// Details of the atom under the pointer, next to it; indexes are 1-based
+// as elsewhere in the UI
+const AtomTooltip = ({ atom }) => {
+    if (!atom) return null;
+    const [x, y, z] = atom.position;
+
+    return (
+        <div
+            className="absolute z-20 rounded bg-black/80 px-2 py-1 text-xs pointer-events-none"
+            style={{ left: atom.x + 12, top: atom.y + 12 }}
+        >
+            <div className="font-bold">{atom.element} {atom.index + 1}</div>
+            <Row label="Mapped to">
+                {atom.partner == null
+                    ? "–"
+                    : `${atom.partner + 1} in ${atom.partnerMolecule.name || atom.partnerMolecule.identifier}`}
+            </Row>
+            <Row label="Position">{[x, y, z].map(v => v.toFixed(3)).join(", ")} Å</Row>
+        </div>
+    );
+};
+
+export default AtomTooltip;
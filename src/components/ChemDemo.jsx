@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from "react";
+import { HYDROGEN_MODES, parseIdentifierList } from "pubchemtest";
+import PointCloudBillboard, { DEFAULT_COMPOUNDS, RENDER_STYLES } from "./MolecularViewer";
+
+const VIEW_MODES = ["compounds", "conformers"];
+
+// Viewer props from ?compounds=, ?hydrogens=, ?mode= and ?style=
+function readParams() {
+    const params = new URLSearchParams(window.location.search);
+    const text = params.get("compounds") || "";
+    const pick = (name, allowed) => (allowed.includes(params.get(name)) ? params.get(name) : undefined);
+    return {
+        text,
+        compounds: parseIdentifierList(text),
+        hydrogens: pick("hydrogens", HYDROGEN_MODES),
+        mode: pick("mode", VIEW_MODES),
+        renderStyle: pick("style", Object.keys(RENDER_STYLES)),
+    };
+}
+
+// The demo page: a compound list that morphs in place when submitted and
+// is kept in the URL, so links and the back button still work
+const ChemDemo = () => {
+    const [params, setParams] = useState(null);
+    const [input, setInput] = useState("");
+
+    useEffect(() => {
+        const sync = () => {
+            const next = readParams();
+            setParams(next);
+            setInput(next.text);
+        };
+        sync();
+        window.addEventListener("popstate", sync);
+        return () => window.removeEventListener("popstate", sync);
+    }, []);
+
+    const showCompounds = (text) => {
+        const url = new URL(window.location.href);
+        url.searchParams.set("compounds", text);
+        window.history.pushState(null, "", url);
+        const next = readParams();
+        setParams(next);
+        setInput(next.text);
+    };
+
+    const submit = (e) => {
+        e.preventDefault();
+        showCompounds(input);
+    };
+
+    // Drop a compound that failed to load; the rest carry on playing
+    const removeCompound = (identifier) => {
+        showCompounds(params.compounds.filter(c => c !== identifier).join(";"));
+    };
+
+    return (
+        <div className="flex flex-col gap-2">
+            <form onSubmit={submit} className="flex flex-col gap-2">
+                <input
+                    type="text"
+                    value={input}
+                    onChange={e => setInput(e.target.value)}
+                    placeholder="e.g. water;cid:702;smiles:OCC(O)CO"
+                    className="border border-gray-300 rounded px-2 py-1 w-96"
+                />
+                <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded">
+                    Go
+                </button>
+            </form>
+
+            <h1 className="mt-4 text-lg font-bold">{params?.text}</h1>
+            {params && (
+                <PointCloudBillboard
+                    compounds={params.compounds.length > 0 ? params.compounds : DEFAULT_COMPOUNDS}
+                    hydrogens={params.hydrogens}
+                    mode={params.mode}
+                    renderStyle={params.renderStyle}
+                    onRemoveCompound={params.compounds.length > 0 ? removeCompound : undefined}
+                />
+            )}
+        </div>
+    );
+};
+
+export default ChemDemo;
@@ -0,0 +1,51 @@
+import React from "react";
+import { COMPARISON_COLOURS, COMPARISON_LAYOUTS } from "./moleculeScene";
+
+const selectClass = "border border-gray-300 rounded px-1 py-0.5 bg-black";
+
+// Turns comparison mode on and off and picks its layout, atom colouring
+// and correspondence lines; `comparison` is null when off
+const ComparisonControls = ({ comparison, onChange, disabled }) => {
+    const update = changes => onChange({ layout: "overlay", colour: "match", lines: true, ...comparison, ...changes });
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+            <label className="flex items-center gap-1">
+                Compare
+                <select
+                    value={comparison?.layout ?? "off"}
+                    disabled={disabled}
+                    onChange={e => (e.target.value === "off" ? onChange(null) : update({ layout: e.target.value }))}
+                    className={selectClass}
+                >
+                    <option value="off">Off</option>
+                    {Object.entries(COMPARISON_LAYOUTS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+            </label>
+            {comparison && (
+                <>
+                    <label className="flex items-center gap-1">
+                        Colour by
+                        <select
+                            value={comparison.colour}
+                            onChange={e => update({ colour: e.target.value })}
+                            className={selectClass}
+                        >
+                            {Object.entries(COMPARISON_COLOURS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                    </label>
+                    <label className="flex items-center gap-1">
+                        <input
+                            type="checkbox"
+                            checked={comparison.lines}
+                            onChange={e => update({ lines: e.target.checked })}
+                        />
+                        Correspondence lines
+                    </label>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ComparisonControls;
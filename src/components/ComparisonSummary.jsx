@@ -0,0 +1,45 @@
+import React from "react";
+import { DISPLACEMENT_RANGE } from "./moleculeScene";
+
+const moleculeName = mol =>
+    (mol.conformer != null ? `Conformer ${mol.conformer + 1}` : mol.name || String(mol.identifier));
+
+// On-screen summary of the pair being compared: which is which, how many
+// atoms were matched and the RMSD after alignment
+const ComparisonSummary = ({ summary }) => {
+    if (!summary) return null;
+    const { a, b, rmsd, matched, atoms, layout, colour } = summary;
+
+    return (
+        <div className="absolute top-2 right-2 z-10 w-64 rounded bg-black/70 p-3 text-sm pointer-events-none">
+            <div className="mb-1 font-bold truncate">
+                {layout === "side-by-side"
+                    ? `${moleculeName(a)} | ${moleculeName(b)}`
+                    : `${moleculeName(b)} over ${moleculeName(a)}`}
+            </div>
+            <div className="flex justify-between gap-4">
+                <span className="text-gray-400">RMSD</span>
+                <span>{rmsd == null ? "–" : `${rmsd.toFixed(3)} Å`}</span>
+            </div>
+            <div className="flex justify-between gap-4">
+                <span className="text-gray-400">Matched atoms</span>
+                <span>{matched}/{atoms}</span>
+            </div>
+            {colour === "match" && (
+                <div className="mt-1 flex gap-3 text-xs">
+                    <span className="text-green-500">● matched</span>
+                    <span className="text-red-500">● unmatched</span>
+                </div>
+            )}
+            {colour === "displacement" && (
+                <div className="mt-1 flex items-center gap-1 text-xs">
+                    <span>0</span>
+                    <span className="h-2 flex-1 rounded bg-gradient-to-r from-blue-500 via-white to-red-500" />
+                    <span>≥{DISPLACEMENT_RANGE} Å</span>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ComparisonSummary;
@@ -0,0 +1,54 @@
+import React, { useState } from "react";
+import { WRITE_FORMATS, writeMolecules } from "pubchemtest";
+
+const MIME_TYPES = {
+    sdf: "chemical/x-mdl-sdfile",
+    mol2: "chemical/x-mol2",
+    xyz: "chemical/x-xyz",
+    pdb: "chemical/x-pdb",
+};
+
+const fileStem = text => String(text).replace(/[^\w.-]+/g, "_").slice(0, 60) || "molecule";
+
+function saveFile(text, filename, format) {
+    const url = URL.createObjectURL(new Blob([text], { type: MIME_TYPES[format] }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Export the molecule on screen, or the whole aligned sequence, in Å
+const DownloadMenu = ({ current, sequence }) => {
+    const [format, setFormat] = useState("sdf");
+    if (!current) return null;
+
+    const download = molecules => {
+        const stem = molecules.length === 1
+            ? fileStem(current.name || current.identifier)
+            : `sequence-${molecules.length}`;
+        saveFile(writeMolecules(molecules, format), `${stem}.${format}`, format);
+    };
+
+    return (
+        <div className="flex items-center gap-2 mt-2 text-sm">
+            <span>Download</span>
+            <select
+                value={format}
+                onChange={e => setFormat(e.target.value)}
+                className="border border-gray-300 rounded px-1 py-0.5 bg-black"
+            >
+                {WRITE_FORMATS.map(f => <option key={f} value={f}>{f.toUpperCase()}</option>)}
+            </select>
+            <button className="bg-blue-600 text-white px-2 py-1 rounded" onClick={() => download([current])}>
+                Current molecule
+            </button>
+            <button className="bg-blue-600 text-white px-2 py-1 rounded" onClick={() => download(sequence())}>
+                Whole sequence
+            </button>
+        </div>
+    );
+};
+
+export default DownloadMenu;
@@ -0,0 +1,65 @@
+import React from "react";
+import { MoleculeParseError, MoleculeSourceError } from "pubchemtest";
+
+const STATUS_LABELS = { pending: "Waiting", loading: "Loading…", loaded: "Aligning…", ready: "Loaded", error: "Failed" };
+
+const buttonClass = "bg-blue-600 text-white px-2 py-0.5 rounded disabled:opacity-50";
+
+// Short reason for a failed compound; the error message adds the detail
+export function describeLoadError(error) {
+    if (error instanceof MoleculeSourceError) {
+        switch (error.code) {
+            case "not-found": return "Not found";
+            case "no-3d": return "No 3D structure available";
+            case "ambiguous": return "Ambiguous name";
+            case "network": return "Network error";
+        }
+    }
+    if (error instanceof MoleculeParseError) return "Could not parse the structure file";
+    return "Could not load";
+}
+
+// Per-compound loading progress and failures. `items` are `{ identifier,
+// status, error }` with `status` a STATUS_LABELS key; `onRetry()` loads
+// the failed ones again and `onRemove(identifier)`, if given, drops a
+// compound from the list.
+const LoadStatus = ({ items, onRetry, onRemove }) => {
+    const failed = items.filter(item => item.status === "error");
+    const settled = items.filter(item => item.status === "ready" || item.status === "error").length;
+    const loading = settled < items.length;
+    if (!loading && failed.length === 0) return null;
+
+    return (
+        <div className="flex flex-col gap-1 mt-2 text-sm">
+            {loading && (
+                <div className="flex items-center gap-2">
+                    <progress value={settled} max={items.length} className="w-48" />
+                    <span>{settled}/{items.length} done</span>
+                    <span className="text-gray-400 truncate">
+                        {items.filter(item => item.status === "loading" || item.status === "loaded")
+                            .map(item => `${item.identifier}: ${STATUS_LABELS[item.status]}`)
+                            .join(", ")}
+                    </span>
+                </div>
+            )}
+            {failed.map(({ identifier, error }, i) => (
+                <div key={`${identifier}-${i}`} className="flex flex-wrap items-center gap-2 rounded bg-red-900/60 px-2 py-1">
+                    <span className="font-bold">{identifier}</span>
+                    <span>{describeLoadError(error)}</span>
+                    <span className="text-gray-300">{error?.message}</span>
+                    {error?.candidates?.length > 0 && (
+                        <span className="text-gray-300">
+                            Did you mean {error.candidates.slice(0, 5).map(c => `cid:${c.cid}${c.title ? ` (${c.title})` : ""}`).join(", ")}?
+                        </span>
+                    )}
+                    <span className="ml-auto flex gap-1">
+                        <button className={buttonClass} disabled={loading} onClick={onRetry}>Retry</button>
+                        {onRemove && <button className={buttonClass} onClick={() => onRemove(identifier)}>Remove</button>}
+                    </span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default LoadStatus;
@@ -0,0 +1,24 @@
+import React from "react";
+import { formatMeasurement } from "./moleculeScene";
+
+const LABELS = { distance: "Distance", angle: "Angle", dihedral: "Dihedral" };
+
+// The atoms picked for measuring and what they measure; 2, 3 or 4 atoms
+// give a distance, angle or dihedral
+const MeasurementPanel = ({ selection, onClear }) => {
+    if (!selection || selection.atoms.length === 0) return null;
+    const { atoms, measurement } = selection;
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+            <span>{measurement ? LABELS[measurement.kind] : "Selected"}</span>
+            <span className="text-gray-400">{atoms.map(a => `${a.element}${a.index + 1}`).join("–")}</span>
+            {measurement
+                ? <span className="font-bold text-yellow-300">{formatMeasurement(measurement)}</span>
+                : <span className="text-gray-400">click more atoms to measure</span>}
+            <button className="bg-blue-600 text-white px-2 py-0.5 rounded" onClick={onClear}>Clear</button>
+        </div>
+    );
+};
+
+export default MeasurementPanel;
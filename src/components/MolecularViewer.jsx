@@ -1,443 +1,269 @@
-﻿// PointCloudBillboard.jsx
-import React, { useEffect, useRef } from "react";
-import * as THREE from "three";
-import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
-import { ELEMENTS, getMoleculePoints } from "pubchemtest";
-
-// ─────────────────────────────────────────────────────────────────────────────
-const ATOM_SCALE = 0.3;
-
-const ATOM_RADII = {
-    H: 0.12 * ATOM_SCALE,
-    C: 0.17 * ATOM_SCALE,
-    N: 0.155 * ATOM_SCALE,
-    O: 0.152 * ATOM_SCALE,
-    F: 0.147 * ATOM_SCALE,
-    P: 0.18 * ATOM_SCALE,
-    S: 0.18 * ATOM_SCALE,
-    Cl: 0.175 * ATOM_SCALE,
-    Br: 0.185 * ATOM_SCALE,
-    I: 0.198 * ATOM_SCALE,
-    Unknown: 0.15 * ATOM_SCALE,
-};
-
-// ─────────────────────────────────────────────────────────────────────────────
-// SHARED GLOBALS
-let sharedRenderer = null;
-let sharedScene = null;
-let sharedCamera = null;
-let sharedControls = null;
-let sharedAtomMeshes = {};
-let sharedBondMesh = null;
-let animationId = null;
-let cycleInterval = null;
-let resizeObserver = null;
-
-const maxPoints = 150;
-const maxBonds = 500;
-
-const ELEMENT_COLORS = {
-    H: 0xffffff, C: 0xaaaaaa, N: 0x3050f8, O: 0xff0d0d, F: 0x90e050,
-    P: 0xff8000, S: 0xffff30, Cl: 0x1ff01f, Br: 0xa6291a, I: 0x940094,
-    Unknown: 0x888888,
-};
-
-let POSITION_SETS = [];
-let currentSet = 0;
-let progress = 0;
-let animating = false;
-
-const atomStart = {};
-const atomTarget = {};
+// PointCloudBillboard.jsx
+import React, { useEffect, useImperativeHandle, useMemo, useRef, useState } from "react";
+import {
+    buildConformerSequence,
+    buildMorphSequence,
+    parseIdentifierList,
+} from "pubchemtest";
+import AtomTooltip from "./AtomTooltip";
+import ComparisonControls from "./ComparisonControls";
+import ComparisonSummary from "./ComparisonSummary";
+import DownloadMenu from "./DownloadMenu";
+import LoadStatus from "./LoadStatus";
+import MeasurementPanel from "./MeasurementPanel";
+import MoleculeInfoPanel from "./MoleculeInfoPanel";
+import PlaybackControls from "./PlaybackControls";
+import { RENDER_STYLES, createMoleculeScene } from "./moleculeScene";
+
+export { COMPARISON_COLOURS, COMPARISON_LAYOUTS, DEFAULT_CAMERA, PLAYBACK_MODES, RENDER_STYLES } from "./moleculeScene";
+
+export const DEFAULT_COMPOUNDS = ["ergosterol", "previtamin d2", "ergocalciferol"];
 
 // ─────────────────────────────────────────────────────────────────────────────
 // LOAD MOLECULES
-async function loadMoleculesOnce(compoundsToLoad) {
-    if (POSITION_SETS.length > 0) return;
-    let prev = null;
-    for (const name of compoundsToLoad) {
-        const mol = await getMoleculePoints(name, 0.45, prev);
-        POSITION_SETS.push(mol);
-        prev = mol;
+async function loadMolecules(compoundsToLoad, hydrogens, mode, signal, onProgress, reuse) {
+    const options = { tolerance: 0.45, hydrogens, addHydrogens: hydrogens !== "none", signal, onProgress };
+    // Conformer mode cycles through conformers of the first compound only;
+    // each is aligned to the one shown before it, as in compound mode
+    if (mode === "conformers") {
+        return buildConformerSequence(compoundsToLoad[0], { ...options, align: "previous" });
     }
+    // Compounds that fail are skipped; the rest still morph. Those in
+    // `reuse` (items of the last load) that loaded are not fetched again
+    return buildMorphSequence(compoundsToLoad, { ...options, reuse });
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// TRANSITION
-const transition = (idx) => {
-    const target = POSITION_SETS[idx];
-    const { atoms, bonds, atomMapping, elementIndexes } = target;
-
-    // Save current positions
-    Object.keys(sharedAtomMeshes).forEach(el => {
-        const mesh = sharedAtomMeshes[el];
-        for (let i = 0; i < mesh.count; i++) {
-            const mat = new THREE.Matrix4();
-            mesh.getMatrixAt(i, mat);
-            const pos = new THREE.Vector3();
-            mat.decompose(pos, new THREE.Quaternion(), new THREE.Vector3());
-            atomStart[el][i] = pos.clone();
-        }
-    });
-
-    // Set target atoms
-    const dummy = new THREE.Object3D();
-    Object.keys(sharedAtomMeshes).forEach(el => {
-        const mesh = sharedAtomMeshes[el];
-        const elIdx = ELEMENTS.indexOf(el);
-        let instanceId = 0;
-
-        for (let i = 0; i < maxPoints; i++) {
-            const mapped = (atomMapping && atomMapping[i] !== -1) ? atomMapping[i] : i;
-            if (mapped < atoms.length && elementIndexes[mapped] === elIdx) {
-                const pos = new THREE.Vector3(...atoms[mapped]);
-                const radius = ATOM_RADII[el];
-                atomTarget[el][instanceId] = pos;
-
-                dummy.position.copy(pos);
-                dummy.scale.setScalar(radius);
-                dummy.updateMatrix();
-                mesh.setMatrixAt(instanceId, dummy.matrix);
-
-                // UPDATE COLOR IN BUFFER
-                const color = new THREE.Color(ELEMENT_COLORS[el]);
-                const offset = instanceId * 3;
-                mesh.instanceColor.array[offset]     = color.r;
-                mesh.instanceColor.array[offset + 1] = color.g;
-                mesh.instanceColor.array[offset + 2] = color.b;
-
-                instanceId++;
-            }
-        }
-        mesh.count = instanceId;
-        mesh.instanceMatrix.needsUpdate = true;
-        mesh.instanceColor.needsUpdate = true;
-    });
-
-    // BONDS — UNCHANGED
-    const bondCount = bonds.length;
-    sharedBondMesh.count = bondCount;
-
-    for (let i = 0; i < maxBonds; i++) {
-        if (i >= bondCount) {
-            dummy.scale.setScalar(0.001);
-            dummy.updateMatrix();
-            sharedBondMesh.setMatrixAt(i, dummy.matrix);
-            continue;
-        }
-
-        const b = bonds[i];
-        const a1 = atoms[b.from];
-        const a2 = atoms[b.to];
-        const el1 = ELEMENTS[elementIndexes[b.from]] || "Unknown";
-        const el2 = ELEMENTS[elementIndexes[b.to]] || "Unknown";
-        const r1 = ATOM_RADII[el1];
-        const r2 = ATOM_RADII[el2];
-
-        const start = new THREE.Vector3(...a1);
-        const end = new THREE.Vector3(...a2);
-        const mid = new THREE.Vector3().lerpVectors(start, end, 0.5);
-        const fullLength = start.distanceTo(end);
-        const bondLength = Math.max(fullLength - r1 - r2, 0.01);
-
-        const dir = new THREE.Vector3().subVectors(end, start).normalize();
-        const quat = new THREE.Quaternion().setFromUnitVectors(
-            new THREE.Vector3(0, 1, 0),
-            dir
-        );
-
-        dummy.position.copy(mid);
-        dummy.scale.set(1, bondLength+0.1, 1);
-        dummy.quaternion.copy(quat);
-        dummy.updateMatrix();
-        sharedBondMesh.setMatrixAt(i, dummy.matrix);
-    }
-    sharedBondMesh.instanceMatrix.needsUpdate = true;
-
-    progress = 0;
-    animating = true;
-    currentSet = idx;
-};
-
-// ─────────────────────────────────────────────────────────────────────────────
-// ANIMATION LOOP
-const animate = () => {
-    animationId = requestAnimationFrame(animate);
-
-    if (animating) {
-        progress = Math.min(progress + 0.02, 1);
-        const t = progress < 0.5 ? 2 * progress * progress : -1 + (4 - 2 * progress) * progress;
-
-        const dummy = new THREE.Object3D();
-
-        // ATOMS — INTERPOLATE + FADE
-        Object.keys(sharedAtomMeshes).forEach(el => {
-            const mesh = sharedAtomMeshes[el];
-            const baseColor = new THREE.Color(ELEMENT_COLORS[el]);
-
-            for (let i = 0; i < mesh.count; i++) {
-                const start = atomStart[el][i] || new THREE.Vector3();
-                const target = atomTarget[el][i] || start;
-                const pos = start.lerp(target, t);
-
-                const radius = ATOM_RADII[el];
-                dummy.position.copy(pos);
-                dummy.scale.setScalar(radius);
-                dummy.updateMatrix();
-                mesh.setMatrixAt(i, dummy.matrix);
-
-                // FADE BY MODIFYING COLOR BUFFER
-                const offset = i * 3;
-                mesh.instanceColor.array[offset]     = baseColor.r;
-                mesh.instanceColor.array[offset + 1] = baseColor.g;
-                mesh.instanceColor.array[offset + 2] = baseColor.b;
-            }
-            mesh.instanceMatrix.needsUpdate = true;
-            mesh.instanceColor.needsUpdate = true;
-        });
-
-        // BONDS — INTERPOLATE
-        const prev = POSITION_SETS[(currentSet + POSITION_SETS.length - 1) % POSITION_SETS.length];
-        const curr = POSITION_SETS[currentSet];
-
-        for (let i = 0; i < Math.max(prev.bonds.length, curr.bonds.length); i++) {
-            const b1 = prev.bonds[i] || { from: 0, to: 0 };
-            const b2 = curr.bonds[i] || { from: 0, to: 0 };
-
-            const s1 = new THREE.Vector3(...prev.atoms[b1.from]);
-            const e1 = new THREE.Vector3(...prev.atoms[b1.to]);
-            const s2 = new THREE.Vector3(...curr.atoms[b2.from]);
-            const e2 = new THREE.Vector3(...curr.atoms[b2.to]);
-
-            const start = s1.lerp(s2, t);
-            const end = e1.lerp(e2, t);
-            const fullLength = start.distanceTo(end);
-
-            if (fullLength < 0.01) {
-                dummy.scale.setScalar(0.001);
-                dummy.updateMatrix();
-                sharedBondMesh.setMatrixAt(i, dummy.matrix);
-                continue;
-            }
-
-            const el1 = ELEMENTS[curr.elementIndexes[b2.from]] || "Unknown";
-            const el2 = ELEMENTS[curr.elementIndexes[b2.to]] || "Unknown";
-            const r1 = ATOM_RADII[el1];
-            const r2 = ATOM_RADII[el2];
-            const bondLength = Math.max(fullLength - r1 - r2, 0.01);
-            const mid = new THREE.Vector3().lerpVectors(start, end, 0.5);
-
-            const dir = new THREE.Vector3().subVectors(end, start).normalize();
-            const quat = new THREE.Quaternion().setFromUnitVectors(
-                new THREE.Vector3(0, 1, 0),
-                dir
-            );
-
-            dummy.position.copy(mid);
-            dummy.scale.set(1, bondLength+0.1, 1);
-            dummy.quaternion.copy(quat);
-            dummy.updateMatrix();
-            sharedBondMesh.setMatrixAt(i, dummy.matrix);
-        }
-        sharedBondMesh.count = curr.bonds.length;
-        sharedBondMesh.instanceMatrix.needsUpdate = true;
-
-        if (progress >= 1) animating = false;
-    }
-
-    sharedControls.update();
-    sharedRenderer.render(sharedScene, sharedCamera);
-};
-
 // ─────────────────────────────────────────────────────────────────────────────
 // REACT COMPONENT
-const PointCloudBillboard = () => {
+// Each mounted viewer owns its scene, molecules and animation loop, and
+// frees them when unmounted, so a page can show several.
+//
+// Props:
+// - `compounds`: identifiers, as an array or a ";"-separated string;
+//   changing them loads the new list and morphs to it in place
+// - `hydrogens` ('all' | 'polar' | 'none'), `mode` ('compounds' |
+//   'conformers') and `renderStyle` (a RENDER_STYLES key)
+// - `autoplay`, `interval` (ms each molecule is held) and `camera` (see
+//   DEFAULT_CAMERA)
+// - `comparison`: `{ layout, colour, lines }` to start in comparison mode,
+//   showing each molecule with the one before it (see setComparison)
+// - `onLoad(molecules)`, `onError(error)` for the whole load or for each
+//   compound that failed, `onTransition(index, molecule)` and
+//   `onAtomPick({ molecule, index, element, partner, position })`; hovering
+//   an atom shows the same details, and clicked atoms are measured
+// - `onRemoveCompound(identifier)`: offered next to compounds that failed
+// - `ref`: `{ play, pause, goTo, resetCamera, clearSelection }`
+const PointCloudBillboard = ({
+    compounds = DEFAULT_COMPOUNDS,
+    hydrogens = "all",
+    mode = "compounds",
+    renderStyle = "ball-and-stick",
+    autoplay = true,
+    interval = 2000,
+    camera,
+    comparison = null,
+    onLoad,
+    onError,
+    onTransition,
+    onAtomPick,
+    onRemoveCompound,
+    ref,
+}) => {
     const mountRef = useRef(null);
+    const viewerRef = useRef(null);
+    const [shown, setShown] = useState(null);
+    const [molecules, setMolecules] = useState([]);
+    const [playbackState, setPlaybackState] = useState(null);
+    const [hovered, setHovered] = useState(null);
+    const [selection, setSelection] = useState(null);
+    const [activeComparison, setActiveComparison] = useState(comparison);
+    const [comparisonSummary, setComparisonSummary] = useState(null);
+    const [loadItems, setLoadItems] = useState([]);
+    const [attempt, setAttempt] = useState(0);
+    const lastLoad = useRef(null);
+    const [activeStyle, setActiveStyle] = useState(RENDER_STYLES[renderStyle] ? renderStyle : "ball-and-stick");
+
+    // The scene outlives renders, so it reads the latest props through refs
+    const initial = useRef({ style: activeStyle, autoplay, interval, camera });
+    const callbacks = useRef({});
+    callbacks.current = { onLoad, onError, onTransition, onAtomPick };
+
+    const compoundList = Array.isArray(compounds) ? compounds : parseIdentifierList(compounds);
+    const compoundsKey = JSON.stringify(compoundList);
+    const cameraKey = JSON.stringify(camera ?? {});
+
+    // Stable wrappers, so the controls never hold on to a disposed viewer
+    const controls = useMemo(() => ({
+        play: () => viewerRef.current?.play(),
+        pause: () => viewerRef.current?.pause(),
+        step: delta => viewerRef.current?.step(delta),
+        goTo: idx => viewerRef.current?.goTo(idx),
+        seek: position => viewerRef.current?.seek(position),
+        setOptions: options => viewerRef.current?.setPlaybackOptions(options),
+    }), []);
+
+    useImperativeHandle(ref, () => ({
+        play: controls.play,
+        pause: controls.pause,
+        goTo: controls.goTo,
+        resetCamera: () => viewerRef.current?.resetCamera(),
+        clearSelection: () => viewerRef.current?.clearSelection(),
+    }), [controls]);
 
     useEffect(() => {
-        if (!mountRef.current) return;
-
-        const init = async () => {
-            const params = new URLSearchParams(window.location.search);
-            const compoundsToLoad = params.get("compounds")?.split(";").map(c => c.trim()).filter(Boolean) ||
-                ["ergosterol","previtamin d2","ergocalciferol"];
-
-            await loadMoleculesOnce(compoundsToLoad);
-            if (POSITION_SETS.length === 0) return;
-
-            if (!sharedRenderer) {
-                sharedScene = new THREE.Scene();
-                sharedCamera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
-                sharedCamera.position.set(0, 0, 5);
-
-                sharedRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-                sharedRenderer.setClearColor(0x000000, 0);
-                sharedRenderer.setPixelRatio(window.devicePixelRatio);
-
-                sharedControls = new OrbitControls(sharedCamera, sharedRenderer.domElement);
-                sharedControls.enableDamping = true;
-                sharedControls.enableZoom = false;
-
-                sharedControls.minDistance = 1.5;
-                sharedControls.maxDistance = 1.5;  
-                
-                sharedScene.add(new THREE.AmbientLight(0xffffff, 0.6));
-                const dirLight = new THREE.DirectionalLight(0xffffff, 1.0);
-                dirLight.position.set(5, 10, 7);
-                sharedScene.add(dirLight);
-
-                const first = POSITION_SETS[0];
-
-                // SPHERE GEOMETRY
-                const sphereGeo = new THREE.SphereGeometry(1, 24, 16);
-
-                // COUNT ELEMENTS
-                const elementCounts = {};
-                first.elementIndexes.forEach(idx => {
-                    const el = ELEMENTS[idx] || "Unknown";
-                    elementCounts[el] = (elementCounts[el] || 0) + 1;
-                });
-
-                // INSTANCED MESH — MESHSTANDARD + MANUAL instanceColor
-                Object.entries(elementCounts).forEach(([el, atomCount]) => {
-                    const material = new THREE.MeshStandardMaterial({
-                        metalness: 0.4,
-                        roughness: 0.2,
-                    });
-
-                    // COLOR BUFFER
-                    const colorArray = new Float32Array(atomCount * 3);
-                    const baseColor = new THREE.Color(ELEMENT_COLORS[el]);
-                    for (let i = 0; i < atomCount; i++) {
-                        colorArray[i * 3]     = baseColor.r;
-                        colorArray[i * 3 + 1] = baseColor.g;
-                        colorArray[i * 3 + 2] = baseColor.b;
-                    }
-
-                    const mesh = new THREE.InstancedMesh(sphereGeo, material, atomCount);
-                    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-                    mesh.instanceColor = new THREE.InstancedBufferAttribute(colorArray, 3);
-                    mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
-
-                    sharedScene.add(mesh);
-                    sharedAtomMeshes[el] = mesh;
-
-                    atomStart[el] = [];
-                    atomTarget[el] = [];
-                });
-
-                // BOND MESH
-                const cylGeo = new THREE.CylinderGeometry(0.02, 0.02, 1, 16, 1);
-                cylGeo.translate(0, 0, 0);
-
-                const bondMat = new THREE.MeshStandardMaterial({
-                    color: 0xcccccc,
-                    metalness: 0.5,
-                    roughness: 0.3
-                });
-                sharedBondMesh = new THREE.InstancedMesh(cylGeo, bondMat, maxBonds);
-                sharedBondMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-                sharedScene.add(sharedBondMesh);
-
-                // INITIAL ATOMS
-                const dummy = new THREE.Object3D();
-                first.atoms.forEach((pos, i) => {
-                    const el = ELEMENTS[first.elementIndexes[i]] || "Unknown";
-                    const mesh = sharedAtomMeshes[el];
-                    if (!mesh) return;
+        if (RENDER_STYLES[renderStyle]) setActiveStyle(renderStyle);
+    }, [renderStyle]);
 
-                    const radius = ATOM_RADII[el];
-                    const instanceId = mesh.count;
-                    dummy.position.set(...pos);
-                    dummy.scale.setScalar(radius);
-                    dummy.updateMatrix();
-                    mesh.setMatrixAt(instanceId, dummy.matrix);
-                    mesh.count++;
+    useEffect(() => {
+        viewerRef.current?.setStyle(activeStyle);
+    }, [activeStyle]);
 
-                    atomStart[el][instanceId] = new THREE.Vector3(...pos);
-                });
-                Object.values(sharedAtomMeshes).forEach(m => {
-                    m.instanceMatrix.needsUpdate = true;
-                    m.instanceColor.needsUpdate = true;
-                });
+    useEffect(() => {
+        if (!mountRef.current) return;
+        const viewer = createMoleculeScene(mountRef.current, {
+            ...initial.current,
+            onShowMolecule: setShown,
+            onPlaybackChange: setPlaybackState,
+            onTransition: (index, mol) => callbacks.current.onTransition?.(index, mol),
+            onAtomPick: pick => callbacks.current.onAtomPick?.(pick),
+            onAtomHover: setHovered,
+            onSelectionChange: setSelection,
+            onComparisonChange: setComparisonSummary,
+        });
+        viewerRef.current = viewer;
 
-                // INITIAL BONDS
-                first.bonds.forEach((b, i) => {
-                    const a1 = first.atoms[b.from];
-                    const a2 = first.atoms[b.to];
-                    const el1 = ELEMENTS[first.elementIndexes[b.from]] || "Unknown";
-                    const el2 = ELEMENTS[first.elementIndexes[b.to]] || "Unknown";
-                    const r1 = ATOM_RADII[el1];
-                    const r2 = ATOM_RADII[el2];
+        return () => {
+            viewer.dispose();
+            if (viewerRef.current === viewer) viewerRef.current = null;
+        };
+    }, []);
 
-                    const start = new THREE.Vector3(...a1);
-                    const end = new THREE.Vector3(...a2);
-                    const mid = new THREE.Vector3().lerpVectors(start, end, 0.5);
-                    const fullLength = start.distanceTo(end);
-                    const bondLength = Math.max(fullLength - r1 - r2, 0.01);
+    const comparisonKey = JSON.stringify(comparison);
+    useEffect(() => {
+        setActiveComparison(JSON.parse(comparisonKey));
+    }, [comparisonKey]);
 
-                    const dir = new THREE.Vector3().subVectors(end, start).normalize();
-                    const quat = new THREE.Quaternion().setFromUnitVectors(
-                        new THREE.Vector3(0, 1, 0),
-                        dir
-                    );
+    useEffect(() => {
+        viewerRef.current?.setComparison(activeComparison);
+    }, [activeComparison]);
 
-                    dummy.position.copy(mid);
-                    dummy.scale.set(1, bondLength+0.1, 1);
-                    dummy.quaternion.copy(quat);
-                    dummy.updateMatrix();
-                    sharedBondMesh.setMatrixAt(i, dummy.matrix);
-                });
-                sharedBondMesh.count = first.bonds.length;
-                sharedBondMesh.instanceMatrix.needsUpdate = true;
+    // Skip the first run of the option effects: the scene was created with them
+    const mounted = useRef(false);
+    useEffect(() => {
+        if (!mounted.current) return;
+        if (autoplay) controls.play();
+        else controls.pause();
+    }, [autoplay, controls]);
 
-                cycleInterval = setInterval(() => {
-                    currentSet = (currentSet + 1) % POSITION_SETS.length;
-                    transition(currentSet);
-                }, 3000);
+    useEffect(() => {
+        if (mounted.current) controls.setOptions({ interval });
+    }, [interval, controls]);
 
-                animate();
-            }
+    useEffect(() => {
+        if (mounted.current) viewerRef.current?.setCamera(JSON.parse(cameraKey));
+    }, [cameraKey]);
 
-            if (!mountRef.current.contains(sharedRenderer.domElement)) {
-                mountRef.current.appendChild(sharedRenderer.domElement);
-            }
+    useEffect(() => {
+        mounted.current = true;
+    }, []);
 
-            const resize = () => {
-                const { clientWidth, clientHeight } = mountRef.current;
-                sharedCamera.aspect = clientWidth / clientHeight;
-                sharedCamera.updateProjectionMatrix();
-                sharedRenderer.setSize(clientWidth, clientHeight);
-            };
-            resizeObserver = new ResizeObserver(resize);
-            resizeObserver.observe(mountRef.current);
-            resize();
+    // The molecules on screen keep playing until the new ones are ready.
+    // `loadItems` tracks each compound (the one compound in conformer mode)
+    // for LoadStatus; `attempt` is bumped to retry, which fetches only the
+    // compounds that failed and merges them into the list (`lastLoad`).
+    useEffect(() => {
+        const abort = new AbortController();
+        const list = JSON.parse(compoundsKey);
+        const requested = mode === "conformers" ? list.slice(0, 1) : list;
+        const loadKey = JSON.stringify([compoundsKey, hydrogens, mode]);
+        const reuse = mode !== "conformers" && lastLoad.current?.key === loadKey ? lastLoad.current.items : [];
+        setLoadItems(requested.map((identifier, i) =>
+            ({ identifier, status: reuse[i]?.status === "ok" ? "ready" : "pending", error: null })));
+
+        const setStatus = (index, status, error = null) => {
+            if (abort.signal.aborted) return;
+            setLoadItems(items => items.map((item, i) => (i === index ? { ...item, status, error } : item)));
+        };
+        const STATUS_BY_EVENT = { loading: "loading", loaded: "loaded", aligned: "ready" };
+        const onProgress = ({ type, index, error }) => {
+            if (mode === "conformers" && index > 0) return;
+            setStatus(index, STATUS_BY_EVENT[type] ?? "error", error);
+        };
 
-            transition(0);
+        const load = async () => {
+            const { molecules: loaded, items } = await loadMolecules(requested, hydrogens, mode, abort.signal, onProgress, reuse);
+            if (abort.signal.aborted) return;
+            lastLoad.current = { key: loadKey, items };
+            items.filter(item => item.error).forEach(item => callbacks.current.onError?.(item.error));
+            if (loaded.length === 0) return;
+            viewerRef.current?.setMolecules(loaded);
+            setMolecules(loaded);
+            callbacks.current.onLoad?.(loaded);
         };
 
-        init();
+        // Only conformer mode rejects as a whole; a compound list reports
+        // failures per item
+        load().catch(err => {
+            if (abort.signal.aborted) return;
+            setStatus(0, "error", err);
+            callbacks.current.onError?.(err);
+        });
 
-        return () => {
-            if (mountRef.current?.contains(sharedRenderer?.domElement)) {
-                mountRef.current.removeChild(sharedRenderer.domElement);
-            }
-            resizeObserver?.disconnect();
-        };
-    }, []);
+        return () => abort.abort();
+    }, [compoundsKey, hydrogens, mode, attempt]);
+
+    const loading = compoundList.length > 0 &&
+        (loadItems.length === 0 || loadItems.some(item => item.status !== "ready" && item.status !== "error"));
 
     return (
-        <div
-            ref={mountRef}
-            style={{
-                width: "100%",
-                height: "50vw",
-                maxHeight: "50vh",
-                overflow: "hidden",
-                pointerEvents: "all",
-                zIndex: 50,
-            }}
-        />
+        <div className="relative">
+            <div
+                ref={mountRef}
+                style={{
+                    width: "100%",
+                    height: "50vw",
+                    maxHeight: "50vh",
+                    overflow: "hidden",
+                    pointerEvents: "all",
+                    zIndex: 50,
+                }}
+            />
+            {molecules.length === 0 && (
+                <div className="absolute inset-x-0 top-0 flex items-center justify-center text-sm text-gray-400 pointer-events-none" style={{ height: "min(50vw, 50vh)" }}>
+                    {loading ? "Loading structures…" : "No structure could be loaded"}
+                </div>
+            )}
+            <MoleculeInfoPanel molecule={shown} />
+            <ComparisonSummary summary={comparisonSummary} />
+            <AtomTooltip atom={hovered} />
+            <LoadStatus
+                items={loadItems}
+                onRetry={() => setAttempt(a => a + 1)}
+                onRemove={onRemoveCompound}
+            />
+            <ComparisonControls
+                comparison={activeComparison}
+                onChange={setActiveComparison}
+                disabled={molecules.length < 2}
+            />
+            <MeasurementPanel selection={selection} onClear={() => viewerRef.current?.clearSelection()} />
+            <PlaybackControls
+                state={playbackState}
+                molecules={molecules}
+                controls={controls}
+            />
+            <div className="flex items-center gap-2 mt-2 text-sm">
+                <span>Style</span>
+                <select
+                    value={activeStyle}
+                    onChange={e => setActiveStyle(e.target.value)}
+                    className="border border-gray-300 rounded px-1 py-0.5 bg-black"
+                >
+                    {Object.entries(RENDER_STYLES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+            </div>
+            <DownloadMenu current={shown} sequence={() => molecules} />
+        </div>
     );
 };
 
@@ -0,0 +1,58 @@
+import React from "react";
+
+// Digits in a Hill formula become subscripts, the trailing charge a superscript
+const FormulaText = ({ formula }) => {
+    const [, body, charge] = formula.match(/^(.*?)(\d*[+-])?$/);
+    return (
+        <span>
+            {body.split(/(\d+)/).map((part, i) =>
+                /^\d+$/.test(part) ? <sub key={i}>{part}</sub> : part
+            )}
+            {charge && <sup>{charge}</sup>}
+        </span>
+    );
+};
+
+const Row = ({ label, children }) => (
+    <div className="flex justify-between gap-4">
+        <span className="text-gray-400">{label}</span>
+        <span className="text-right">{children}</span>
+    </div>
+);
+
+const countBy = values => values.reduce((acc, v) => {
+    if (v) acc[v] = (acc[v] || 0) + 1;
+    return acc;
+}, {});
+
+// Descriptor summary for the molecule currently shown by the viewer
+const MoleculeInfoPanel = ({ molecule }) => {
+    if (!molecule?.descriptors) return null;
+    const d = molecule.descriptors;
+    const aromaticRings = d.rings.filter(ring => ring.every(a => d.aromaticAtoms[a])).length;
+    const hybrid = countBy(d.hybridization);
+    const charge = d.formalCharge > 0 ? `+${d.formalCharge}` : String(d.formalCharge);
+
+    return (
+        <div className="absolute top-2 left-2 z-10 w-64 rounded bg-black/70 p-3 text-sm pointer-events-none">
+            <div className="mb-1 font-bold truncate">{molecule.name || molecule.identifier}</div>
+            {molecule.conformer != null && <Row label="Conformer">{molecule.conformer + 1}</Row>}
+            <Row label="Formula"><FormulaText formula={d.formula} /></Row>
+            <Row label="Exact mass">{d.exactMass.toFixed(4)} Da</Row>
+            <Row label="Average mass">{d.averageMass.toFixed(3)} g/mol</Row>
+            <Row label="Formal charge">{charge}</Row>
+            <Row label="Rings">{d.rings.length} ({aromaticRings} aromatic)</Row>
+            <Row label="Hybridization">
+                {["sp3", "sp2", "sp"].filter(h => hybrid[h]).map(h => `${hybrid[h]} ${h}`).join(", ") || "–"}
+            </Row>
+            <Row label="Stereocentres">
+                {d.stereocentres.length === 0
+                    ? "none"
+                    : d.stereocentres.map(s => `${s.atom + 1}${s.label ? ` (${s.label})` : ""}`).join(", ")}
+            </Row>
+            {molecule.rmsd != null && <Row label="RMSD to previous">{molecule.rmsd.toFixed(2)} Å</Row>}
+        </div>
+    );
+};
+
+export default MoleculeInfoPanel;
@@ -0,0 +1,92 @@
+import React from "react";
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+const MODE_LABELS = { "loop": "Loop", "ping-pong": "Ping-pong", "once": "Once" };
+
+const moleculeLabel = (mol, i) =>
+    `${i + 1}. ${mol.conformer != null ? `Conformer ${mol.conformer + 1}` : mol.name || mol.identifier}`;
+
+const buttonClass = "bg-blue-600 text-white px-2 py-1 rounded disabled:opacity-50";
+const selectClass = "border border-gray-300 rounded px-1 py-0.5 bg-black";
+
+// Play/pause, stepping, jumping, speed, mode, hold time and a scrubber
+// over the whole sequence; `controls` are the viewer's playback functions
+const PlaybackControls = ({ state, molecules, controls }) => {
+    if (!state || state.count === 0) return null;
+    const single = state.count < 2;
+    const scrubMax = state.mode === "loop" ? state.count : state.count - 1;
+
+    return (
+        <div className="flex flex-col gap-2 mt-2 text-sm">
+            <input
+                type="range"
+                aria-label="Sequence position"
+                min={0}
+                max={scrubMax}
+                step={0.001}
+                value={state.position}
+                disabled={single}
+                onChange={e => controls.seek(Number(e.target.value))}
+                className="w-full"
+            />
+            <div className="flex flex-wrap items-center gap-2">
+                <button className={buttonClass} disabled={single} onClick={() => controls.step(-1)} title="Previous">
+                    ⏮
+                </button>
+                <button
+                    className={buttonClass}
+                    disabled={single}
+                    onClick={() => (state.playing ? controls.pause() : controls.play())}
+                    title={state.playing ? "Pause" : "Play"}
+                >
+                    {state.playing ? "⏸" : "▶"}
+                </button>
+                <button className={buttonClass} disabled={single} onClick={() => controls.step(1)} title="Next">
+                    ⏭
+                </button>
+                <select
+                    value={state.current}
+                    onChange={e => controls.goTo(Number(e.target.value))}
+                    className={selectClass}
+                    aria-label="Jump to"
+                >
+                    {molecules.map((mol, i) => <option key={i} value={i}>{moleculeLabel(mol, i)}</option>)}
+                </select>
+                <label className="flex items-center gap-1">
+                    Speed
+                    <select
+                        value={state.speed}
+                        onChange={e => controls.setOptions({ speed: Number(e.target.value) })}
+                        className={selectClass}
+                    >
+                        {SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    Mode
+                    <select
+                        value={state.mode}
+                        onChange={e => controls.setOptions({ mode: e.target.value })}
+                        className={selectClass}
+                    >
+                        {Object.entries(MODE_LABELS).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    Hold
+                    <input
+                        type="number"
+                        min={0}
+                        step={0.5}
+                        value={state.hold / 1000}
+                        onChange={e => controls.setOptions({ hold: Number(e.target.value) * 1000 })}
+                        className={`${selectClass} w-16`}
+                    />
+                    s
+                </label>
+            </div>
+        </div>
+    );
+};
+
+export default PlaybackControls;
@@ -0,0 +1,1294 @@
+// moleculeScene.js
+import * as THREE from "three";
+import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
+import { CSS2DObject, CSS2DRenderer } from "three/examples/jsm/renderers/CSS2DRenderer.js";
+import { ELEMENTS, ELEMENT_DATA, applyTransform, computeAlignment, computeAtomMapping, toAngstrom } from "pubchemtest";
+
+// ─────────────────────────────────────────────────────────────────────────────
+const ATOM_SCALE = 0.3;
+
+const ELEMENT_BY_SYMBOL = Object.fromEntries(ELEMENT_DATA.map(e => [e.symbol, e]));
+
+const ELEMENT_COLORS = Object.fromEntries(
+    ELEMENT_DATA.map(e => [e.symbol, e.color])
+);
+
+// Representation styles. Radii are in Å and scaled into scene units with
+// the molecule's normalization; a null `bondColor` colours each half of a
+// bond like the atom at that end, and `lines` draws bonds as 1px lines.
+// `bondSpacing` is the distance between the strands of a multiple bond.
+// Styles without atoms keep them as hidden spheres of `pickRadius`, so
+// atoms can still be hovered and picked.
+export const RENDER_STYLES = {
+    "spacefill": { label: "Space-filling", atomRadius: e => e.vdwRadius, bondRadius: 0, bondSpacing: 0 },
+    "ball-and-stick": { label: "Ball and stick", atomRadius: e => e.vdwRadius * ATOM_SCALE, bondRadius: 0.2, bondSpacing: 0.3, bondColor: 0xcccccc },
+    "licorice": { label: "Licorice", atomRadius: () => 0.3, bondRadius: 0.3, bondSpacing: 0.35, bondColor: null },
+    "wireframe": { label: "Wireframe", atomRadius: () => 0, pickRadius: 0.3, bondRadius: 0, bondSpacing: 0.2, bondColor: null, lines: true },
+};
+
+// Strands drawn for each bond order: offset (in units of bondSpacing) along
+// the bond's side vector, radius relative to bondRadius, and whether the
+// strand is dashed. Every layout has three strands so that a change of
+// order can be animated strand by strand; radius 0 hides a strand.
+const STRAND_LAYOUTS = {
+    single: [[0, 1], [0, 0], [0, 0]],
+    double: [[-0.5, 0.55], [0.5, 0.55], [0, 0]],
+    triple: [[-1, 0.45], [1, 0.45], [0, 0.45]],
+    aromatic: [[0, 1], [1, 0.4, true], [0, 0]],
+};
+
+// Cylinders (or line segments) per bond: two halves for each solid strand
+// and four dashes for the dashed one
+const PIECES_PER_BOND = 8;
+
+// Fractions of each half-bond covered by the dashes of a dashed strand,
+// which also stops short of the atoms
+const DASHES = [[0.3, 0.55], [0.75, 1]];
+
+export const PLAYBACK_MODES = ["loop", "ping-pong", "once"];
+const MORPH_MS = 1000;
+const DEFAULT_HOLD_MS = 2000;
+// Longer gaps between frames (a background tab) are not played back
+const MAX_FRAME_MS = 100;
+// The scrubber position is reported at most this often while morphing
+const POSITION_UPDATE_MS = 100;
+
+// `distance` from the camera to the molecule's centre, in scene units;
+// with `zoom` the wheel moves between `minDistance` and `maxDistance`
+export const DEFAULT_CAMERA = { fov: 75, distance: 1.5, zoom: false, autoRotate: false, autoRotateSpeed: 2 };
+
+// Pointer travel, in px, beyond which a press is a drag, not a click
+const CLICK_TOLERANCE = 4;
+
+// Picking 2, 3 or 4 atoms measures a distance, angle or dihedral
+const MAX_SELECTION = 4;
+const MEASURE_COLOR = 0xffd54f;
+const LABEL_CLASS = "rounded bg-black/70 px-1 text-xs text-yellow-300 pointer-events-none";
+
+// Comparison mode: how the two molecules are laid out and what their atoms
+// are coloured by. The earlier molecule is drawn on its own camera layer,
+// translucent when superimposed.
+export const COMPARISON_LAYOUTS = { "overlay": "Superimposed", "side-by-side": "Side by side" };
+export const COMPARISON_COLOURS = { "element": "Element", "match": "Matched / unmatched", "displacement": "Displacement" };
+const COMPARE_LAYER = 1;
+const GHOST_OPACITY = 0.35;
+const MATCHED_COLOR = new THREE.Color(0x4caf50);
+const UNMATCHED_COLOR = new THREE.Color(0xf44336);
+const NO_PARTNER_COLOR = new THREE.Color(0x666666);
+const LINK_COLOR = new THREE.Color(0x90caf9);
+// Displacements are coloured blue (0 Å) through white to red (this or more)
+export const DISPLACEMENT_RANGE = 2;
+const DISPLACEMENT_COLORS = [new THREE.Color(0x2196f3), new THREE.Color(0xffffff), new THREE.Color(0xf44336)];
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// BONDS
+const bondKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+
+const strandLayout = (mol, i) => {
+    const { type } = mol.bonds[i];
+    if (type === 4 || mol.descriptors?.aromaticBonds?.[i]) return STRAND_LAYOUTS.aromatic;
+    return type === 2 ? STRAND_LAYOUTS.double : type === 3 ? STRAND_LAYOUTS.triple : STRAND_LAYOUTS.single;
+};
+
+// Per-molecule lookups, computed once per molecule. Each scene keeps its
+// own `caches`, so viewers share nothing and dispose drops them.
+const createCaches = () => ({ bondIndexes: new WeakMap(), bondSides: new WeakMap(), mappings: new WeakMap() });
+
+const bondIndex = (mol, caches) => {
+    if (!caches.bondIndexes.has(mol)) {
+        caches.bondIndexes.set(mol, new Map(mol.bonds.map((b, i) => [bondKey(b.from, b.to), i])));
+    }
+    return caches.bondIndexes.get(mol);
+};
+
+// Direction in which the extra strands of each bond are offset: towards
+// the centre of a ring containing the bond, otherwise towards another
+// neighbour, so that multiple bonds lie in the plane of their substituents
+const bondSides = (mol, caches) => {
+    if (caches.bondSides.has(mol)) return caches.bondSides.get(mol);
+    const neighbours = mol.atoms.map(() => []);
+    mol.bonds.forEach(({ from, to }) => {
+        neighbours[from].push(to);
+        neighbours[to].push(from);
+    });
+    const rings = mol.descriptors?.rings ?? [];
+    const sides = mol.bonds.map(({ from, to }) => {
+        const a = new THREE.Vector3(...mol.atoms[from]);
+        const b = new THREE.Vector3(...mol.atoms[to]);
+        const mid = new THREE.Vector3().lerpVectors(a, b, 0.5);
+        const ring = rings.find(r => r.includes(from) && r.includes(to));
+        if (ring) {
+            const centre = ring.reduce((c, k) => c.add(new THREE.Vector3(...mol.atoms[k])), new THREE.Vector3())
+                .divideScalar(ring.length);
+            return centre.sub(mid);
+        }
+        const other = neighbours[from].find(k => k !== to) ?? neighbours[to].find(k => k !== from);
+        return other === undefined ? new THREE.Vector3() : new THREE.Vector3(...mol.atoms[other]).sub(mid);
+    });
+    caches.bondSides.set(mol, sides);
+    return sides;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INSTANCE POOLS
+// Atom spheres, bond pieces and bond lines are drawn from pools sized for
+// the largest morph in the sequence. A morph needing more instances swaps
+// the pool for a larger one (rounded up to a power of two), keeping the
+// geometry and material.
+const poolCapacity = (needed) => 2 ** Math.ceil(Math.log2(Math.max(needed, 16)));
+
+const createInstancePool = (geometry, material, capacity) => {
+    const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+    mesh.count = 0;
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+    // Instances move every frame, so the initial bounds mean nothing
+    mesh.frustumCulled = false;
+    return mesh;
+};
+
+// Two vertices per bond piece
+const createLineGeometry = (capacity) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.Float32BufferAttribute(new Float32Array(capacity * 6), 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute("color", new THREE.Float32BufferAttribute(new Float32Array(capacity * 6), 3).setUsage(THREE.DynamicDrawUsage));
+    return geometry;
+};
+
+const growInstancePool = (scene, mesh, needed) => {
+    if (mesh.instanceMatrix.count >= needed) return mesh;
+    const grown = createInstancePool(mesh.geometry, mesh.material, poolCapacity(needed));
+    grown.visible = mesh.visible;
+    grown.layers.mask = mesh.layers.mask;
+    scene.add(grown);
+    scene.remove(mesh);
+    mesh.dispose();
+    return grown;
+};
+
+// Instances needed to morph between any two consecutive molecules; a
+// morph draws the atoms and bonds of both at once
+const sequenceNeeds = (molecules) => molecules.reduce((needs, mol, i) => {
+    const prev = molecules[(i + molecules.length - 1) % molecules.length];
+    return {
+        atoms: Math.max(needs.atoms, prev.atoms.length + mol.atoms.length),
+        pieces: Math.max(needs.pieces, (prev.bonds.length + mol.bonds.length) * PIECES_PER_BOND),
+    };
+}, { atoms: 0, pieces: 0 });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MORPH
+// Search budget for mappings not found while aligning the sequence (the
+// wrap from last to first, jumps between molecules that are not
+// neighbours). They are computed on the main thread, while loading or
+// drawing, so the budget stays well under a frame or two.
+const QUICK_MAPPING = { maxSteps: 5000, timeLimit: 30 };
+
+// Mapping of `curr` atoms onto `prev` atoms if already known: found while
+// aligning `molecules` (when `prev` comes just before `curr`) or cached
+const knownMapping = (prev, curr, molecules, caches) => {
+    const index = molecules.indexOf(curr);
+    if (curr.atomMapping && index > 0 && molecules[index - 1] === prev) return curr.atomMapping;
+    return caches.mappings.get(curr)?.get(prev) ?? null;
+};
+
+// Mapping of `curr` atoms onto `prev` atoms: a known one, the inverse of a
+// known one the other way round (stepping back), or otherwise computed
+// (once) here with the `options` of computeAtomMapping
+const mappingBetween = (prev, curr, molecules, caches, options = QUICK_MAPPING) => {
+    if (prev === curr) return curr.atoms.map((_, i) => i);
+    const known = knownMapping(prev, curr, molecules, caches);
+    if (known) return known;
+    const reverse = knownMapping(curr, prev, molecules, caches);
+    let mapping;
+    if (reverse) {
+        mapping = new Array(curr.atoms.length).fill(-1);
+        reverse.forEach((j, i) => {
+            if (j >= 0) mapping[j] = i;
+        });
+    } else {
+        mapping = computeAtomMapping(curr, prev, options).mapping;
+    }
+    if (!caches.mappings.has(curr)) caches.mappings.set(curr, new Map());
+    caches.mappings.get(curr).set(prev, mapping);
+    return mapping;
+};
+
+const elementOf = (mol, i) => ELEMENTS[mol.elementIndexes[i]] || "Unknown";
+
+// Everything drawn during a transition from `prev` to `curr`. Each atom
+// track runs from an atom of `prev` to its mapped partner in `curr`; atoms
+// without a partner get a track that stays put and is only shown (`show`)
+// at one end, so they shrink away or grow in place. `atom` and `prevAtom`
+// are the track's atom indexes in `curr` and `prev` (-1 if none), and
+// `currTrack` / `prevTrack` the reverse lookups. Bonds follow their two
+// tracks: bonds in both molecules keep (and re-order) their strands,
+// broken bonds stretch and fade out, formed bonds grow from their midpoint.
+const buildMorph = (prev, curr, molecules, caches) => {
+    const mapping = mappingBetween(prev, curr, molecules, caches);
+    const tracks = [];
+    const prevTrack = new Array(prev.atoms.length).fill(-1);
+    const currTrack = curr.atoms.map((pos, i) => {
+        const j = mapping[i] ?? -1;
+        const el = elementOf(curr, i);
+        if (j !== -1) prevTrack[j] = tracks.length;
+        tracks.push(j === -1
+            ? { from: pos, to: pos, elFrom: el, elTo: el, show: [0, 1], atom: i, prevAtom: -1 }
+            : { from: prev.atoms[j], to: pos, elFrom: elementOf(prev, j), elTo: el, show: [1, 1], atom: i, prevAtom: j });
+        return tracks.length - 1;
+    });
+    prev.atoms.forEach((pos, j) => {
+        if (prevTrack[j] !== -1) return;
+        prevTrack[j] = tracks.length;
+        tracks.push({ from: pos, to: pos, elFrom: elementOf(prev, j), elTo: elementOf(prev, j), show: [1, 0], atom: -1, prevAtom: j });
+    });
+
+    const prevBonds = bondIndex(prev, caches);
+    const kept = new Set();
+    const bonds = curr.bonds.map((b, i) => {
+        const matched = prevBonds.get(bondKey(mapping[b.from] ?? -1, mapping[b.to] ?? -1));
+        const after = strandLayout(curr, i);
+        if (matched !== undefined) kept.add(matched);
+        return {
+            a: currTrack[b.from],
+            b: currTrack[b.to],
+            side: bondSides(curr, caches)[i],
+            before: matched === undefined ? after.map(([offset]) => [offset, 0]) : strandLayout(prev, matched),
+            after,
+            show: matched === undefined ? [0, 1] : [1, 1],
+            grow: matched === undefined,
+        };
+    });
+    prev.bonds.forEach((b, i) => {
+        if (kept.has(i)) return;
+        const before = strandLayout(prev, i);
+        bonds.push({
+            a: prevTrack[b.from],
+            b: prevTrack[b.to],
+            side: bondSides(prev, caches)[i],
+            before,
+            after: before.map(([offset]) => [offset, 0]),
+            show: [1, 0],
+            grow: false,
+        });
+    });
+
+    return { prev, curr, tracks, bonds, prevTrack, currTrack };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MEASUREMENTS
+// Distance (Å), angle or dihedral (degrees) between 2, 3 or 4 points in
+// scene units, with the point its label is drawn at; null for fewer points
+const measure = (points, scale) => {
+    const [a, b, c, d] = points;
+    switch (points.length) {
+        case 2:
+            return { kind: "distance", value: a.distanceTo(b) / scale, at: new THREE.Vector3().lerpVectors(a, b, 0.5) };
+        case 3:
+            return {
+                kind: "angle",
+                value: THREE.MathUtils.radToDeg(new THREE.Vector3().subVectors(a, b).angleTo(new THREE.Vector3().subVectors(c, b))),
+                at: b.clone(),
+            };
+        case 4: {
+            const b1 = new THREE.Vector3().subVectors(b, a);
+            const b2 = new THREE.Vector3().subVectors(c, b);
+            const b3 = new THREE.Vector3().subVectors(d, c);
+            const n1 = new THREE.Vector3().crossVectors(b1, b2);
+            const n2 = new THREE.Vector3().crossVectors(b2, b3);
+            const y = b2.length() * b1.dot(n2);
+            return {
+                kind: "dihedral",
+                value: THREE.MathUtils.radToDeg(Math.atan2(y, n1.dot(n2))),
+                at: new THREE.Vector3().lerpVectors(b, c, 0.5),
+            };
+        }
+        default:
+            return null;
+    }
+};
+
+export const formatMeasurement = ({ kind, value }) =>
+    (kind === "distance" ? `${value.toFixed(2)} Å` : `${value.toFixed(1)}°`);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COMPARISON
+// How `b` maps onto `a` (the molecule before it): `mapping[i]` is b atom
+// i's partner in `a` and `partnerOfA` the reverse. `b` is superposed onto
+// `a` over its matched heavy atoms (all matched atoms if fewer than three
+// are heavy), then `displacement[i]` is the distance (Å) between b atom i
+// and its partner and `rmsd` the RMSD over matched heavy atoms. `morphA` /
+// `morphB` are the molecules at rest, for drawing.
+const compareMolecules = (a, b, molecules, caches) => {
+    const mapping = mappingBetween(a, b, molecules, caches).map(j => j ?? -1);
+    const scale = b.transform?.scale ?? 1;
+    const partnerOfA = new Array(a.atoms.length).fill(-1);
+    const matchedAtoms = b.atoms.map((_, i) => i).filter(i => mapping[i] !== -1);
+    const heavyAtoms = matchedAtoms.filter(i => elementOf(b, i) !== "H");
+    const fitted = heavyAtoms.length >= 3 ? heavyAtoms : matchedAtoms;
+    const { R, t } = computeAlignment(fitted.map(i => b.atoms[i]), fitted.map(i => a.atoms[mapping[i]]));
+    const superposed = applyTransform(b.atoms, R, t);
+    const displacement = superposed.map((p, i) => {
+        const j = mapping[i];
+        if (j === -1) return null;
+        partnerOfA[j] = i;
+        return new THREE.Vector3(...p).distanceTo(new THREE.Vector3(...a.atoms[j])) / scale;
+    });
+    const heavy = heavyAtoms.map(i => displacement[i]);
+    return {
+        a,
+        b,
+        mapping,
+        partnerOfA,
+        displacement,
+        matched: matchedAtoms.length,
+        rmsd: heavy.length > 0 ? Math.sqrt(heavy.reduce((sum, d) => sum + d * d, 0) / heavy.length) : null,
+        morphA: buildMorph(a, a, molecules, caches),
+        morphB: buildMorph(b, b, molecules, caches),
+    };
+};
+
+const displacementColor = (d, target = new THREE.Color()) => {
+    const f = Math.min(d / DISPLACEMENT_RANGE, 1) * 2;
+    return f < 1
+        ? target.lerpColors(DISPLACEMENT_COLORS[0], DISPLACEMENT_COLORS[1], f)
+        : target.lerpColors(DISPLACEMENT_COLORS[1], DISPLACEMENT_COLORS[2], f - 1);
+};
+
+// Colour of atom `i` of molecule `which` ("a" or "b") of a comparison, or
+// null to keep the element colour
+const comparisonColor = (pair, colour, which, i) => {
+    if (colour === "element") return null;
+    const bAtom = which === "b" ? i : pair.partnerOfA[i];
+    const matched = bAtom !== -1 && pair.mapping[bAtom] !== -1;
+    if (colour === "match") return matched ? MATCHED_COLOR : UNMATCHED_COLOR;
+    return matched ? displacementColor(pair.displacement[bAtom]) : NO_PARTNER_COLOR;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SCENE
+/**
+ * A self-contained molecule viewer drawing into `container`: its own
+ * renderer, camera, instance pools, molecules and playback clock. Nothing
+ * is shared between viewers, so a page can hold several. Call `dispose()`
+ * to stop it and free its GPU resources.
+ *
+ * Options: `style` (a RENDER_STYLES key), `autoplay` (default true),
+ * `interval` (ms each molecule is held, default 2000) and `camera` (see
+ * DEFAULT_CAMERA). Callbacks: `onShowMolecule(mol)` with the molecule being
+ * shown or morphed to, `onPlaybackChange(state)` with the playback state
+ * for controls, `onTransition(index, mol)` when a morph to molecule `index`
+ * starts, `onAtomPick(pick)` when an atom is clicked and `onAtomHover(pick)`
+ * when the pointer moves onto another atom or off them (null); see `pick`.
+ * Clicked atoms are also selected for measuring, and `onSelectionChange({
+ * atoms, measurement })` reports the selection as it changes.
+ * `onComparisonChange(summary)` reports the pair shown in comparison mode
+ * (see setComparison), or null.
+ */
+export function createMoleculeScene(container, {
+    style = "ball-and-stick",
+    autoplay = true,
+    interval = DEFAULT_HOLD_MS,
+    camera: cameraOptions,
+    onShowMolecule,
+    onPlaybackChange,
+    onTransition,
+    onAtomPick,
+    onAtomHover,
+    onSelectionChange,
+    onComparisonChange,
+} = {}) {
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(DEFAULT_CAMERA.fov, 1, 0.1, 1000);
+    camera.layers.enable(COMPARE_LAYER);
+
+    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    renderer.setClearColor(0x000000, 0);
+    renderer.setPixelRatio(window.devicePixelRatio);
+    container.appendChild(renderer.domElement);
+
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    let cameraSettings = DEFAULT_CAMERA;
+
+    // Put the camera back on the +z axis at the configured distance
+    const resetCamera = () => {
+        controls.target.set(0, 0, 0);
+        camera.position.set(0, 0, cameraSettings.distance);
+        controls.update();
+    };
+
+    const setCamera = (options = {}) => {
+        cameraSettings = { ...DEFAULT_CAMERA, ...options };
+        const { fov, distance, zoom, autoRotate, autoRotateSpeed } = cameraSettings;
+        camera.fov = fov;
+        camera.updateProjectionMatrix();
+        controls.enableZoom = zoom;
+        controls.minDistance = zoom ? cameraSettings.minDistance ?? distance / 2 : distance;
+        controls.maxDistance = zoom ? cameraSettings.maxDistance ?? distance * 4 : distance;
+        controls.autoRotate = autoRotate;
+        controls.autoRotateSpeed = autoRotateSpeed;
+        resetCamera();
+    };
+    setCamera(cameraOptions);
+
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+    const dirLight = new THREE.DirectionalLight(0xffffff, 1.0);
+    dirLight.position.set(5, 10, 7);
+    // Lights shine on both molecules of a side-by-side comparison
+    ambientLight.layers.enableAll();
+    dirLight.layers.enableAll();
+    scene.add(ambientLight, dirLight);
+
+    // INSTANCE POOLS — coloured per instance, resized by setMolecules. A
+    // layer is one set of pools; `main` draws the morph, `ghost` the
+    // earlier molecule of a comparison.
+    const sphereGeo = new THREE.SphereGeometry(1, 24, 16);
+    const cylGeo = new THREE.CylinderGeometry(1, 1, 1, 16, 1);
+    const atomMat = new THREE.MeshStandardMaterial({ metalness: 0.4, roughness: 0.2 });
+    const bondMat = new THREE.MeshStandardMaterial({ metalness: 0.5, roughness: 0.3 });
+    const lineMat = new THREE.LineBasicMaterial({ vertexColors: true });
+    const translucent = { transparent: true, opacity: GHOST_OPACITY, depthWrite: false };
+    const materials = [atomMat, bondMat, lineMat].flatMap(m => {
+        const ghostMaterial = m.clone();
+        ghostMaterial.setValues(translucent);
+        return [m, ghostMaterial];
+    });
+
+    const createLayer = (atomMaterial, bondMaterial, lineMaterial, cameraLayer = 0) => {
+        const layer = {
+            atomMesh: createInstancePool(sphereGeo, atomMaterial, poolCapacity(0)),
+            bondMesh: createInstancePool(cylGeo, bondMaterial, poolCapacity(0)),
+            bondLines: new THREE.LineSegments(createLineGeometry(poolCapacity(0)), lineMaterial),
+        };
+        layer.bondLines.frustumCulled = false;
+        Object.values(layer).forEach(object => {
+            object.layers.set(cameraLayer);
+            scene.add(object);
+        });
+        return layer;
+    };
+    const main = createLayer(materials[0], materials[2], materials[4]);
+    const ghost = createLayer(materials[1], materials[3], materials[5], COMPARE_LAYER);
+
+    const ensurePools = (layer, atoms, pieces) => {
+        layer.atomMesh = growInstancePool(scene, layer.atomMesh, atoms);
+        layer.bondMesh = growInstancePool(scene, layer.bondMesh, pieces);
+        if (layer.bondLines.geometry.attributes.position.count < 2 * pieces) {
+            layer.bondLines.geometry.dispose();
+            layer.bondLines.geometry = createLineGeometry(poolCapacity(pieces));
+        }
+    };
+
+    const hideLayer = (layer) => {
+        layer.atomMesh.count = 0;
+        layer.atomMesh.boundingSphere = null;
+        layer.bondMesh.count = 0;
+        layer.bondLines.geometry.setDrawRange(0, 0);
+    };
+
+    // MEASUREMENT OVERLAY — lines between the selected atoms, drawn over
+    // the molecule, and HTML labels that follow them; hidden while comparing
+    const measureOverlay = new THREE.Group();
+    scene.add(measureOverlay);
+    const labelRenderer = new CSS2DRenderer();
+    Object.assign(labelRenderer.domElement.style, { position: "absolute", top: "0", left: "0", pointerEvents: "none" });
+    container.appendChild(labelRenderer.domElement);
+
+    const measureLines = new THREE.LineSegments(
+        new THREE.BufferGeometry().setAttribute("position", new THREE.Float32BufferAttribute(new Float32Array(MAX_SELECTION * 6), 3)),
+        new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false, transparent: true })
+    );
+    measureLines.renderOrder = 1;
+    measureLines.frustumCulled = false;
+    measureOverlay.add(measureLines);
+
+    const makeLabel = () => {
+        const element = document.createElement("div");
+        element.className = LABEL_CLASS;
+        const label = new CSS2DObject(element);
+        label.visible = false;
+        measureOverlay.add(label);
+        return label;
+    };
+    const atomLabels = Array.from({ length: MAX_SELECTION }, (_, i) => {
+        const label = makeLabel();
+        label.element.textContent = String(i + 1);
+        return label;
+    });
+    const valueLabel = makeLabel();
+
+    let molecules = [];
+    let caches = createCaches();
+    let currentSet = 0;
+    let progress = 0;
+    let renderStyle = RENDER_STYLES[style] ? style : "ball-and-stick";
+    let needsDraw = false;
+    let morph = null;
+    let animationId = null;
+
+    // `currentSet` is the molecule the morph on screen leads to and `from`
+    // the one it started at; `phase` is "morph" while moving, "hold" at
+    // rest. `elapsed` is the (speed-scaled) time spent in the phase.
+    // `holds[i]` overrides how long molecule i is held and `interval` the
+    // others. `stepping` lets a morph started by a step or jump finish
+    // while paused.
+    const playback = {
+        playing: autoplay,
+        interval,
+        stepping: false,
+        speed: 1,
+        mode: "loop",
+        direction: 1,
+        holds: [],
+        phase: "hold",
+        elapsed: 0,
+        from: 0,
+        lastFrame: null,
+    };
+
+    // ── SELECTION
+    // Selected atoms as `{ mol, atom }` in the molecule they were picked on.
+    // Each new morph rebases them onto its `prev` through the atom mapping,
+    // so they follow their atoms from molecule to molecule; atoms with no
+    // partner drop out.
+    let selection = [];
+    let selectionKey = "";
+
+    const trackOf = ({ mol, atom }) =>
+        (mol === morph?.curr ? morph.currTrack[atom] : mol === morph?.prev ? morph.prevTrack[atom] : -1);
+
+    const showMorph = (next) => {
+        selection = !next ? [] : selection.map(ref => {
+            if (ref.mol === next.prev || ref.mol === next.curr) return ref;
+            const atom = mappingBetween(ref.mol, next.prev, molecules, caches).indexOf(ref.atom);
+            return atom === -1 ? null : { mol: next.prev, atom };
+        }).filter(Boolean);
+        morph = next;
+    };
+
+    // Add a picked atom to the selection, or take it out if already there;
+    // a fifth atom starts a new selection
+    const toggleSelection = ({ molecule, index }) => {
+        const track = trackOf({ mol: molecule, atom: index });
+        const found = selection.findIndex(ref => trackOf(ref) === track);
+        if (found !== -1) selection.splice(found, 1);
+        else {
+            if (selection.length >= MAX_SELECTION) selection = [];
+            selection.push({ mol: molecule, atom: index });
+        }
+        needsDraw = true;
+    };
+
+    const clearSelection = () => {
+        selection = [];
+        needsDraw = true;
+    };
+
+    // Draw the selection at the morph's current atom positions
+    const drawSelection = (positions, scale) => {
+        const points = selection.map(trackOf).filter(k => k !== undefined && k !== -1).map(k => positions[k]);
+        const linePositions = measureLines.geometry.attributes.position;
+        for (let i = 0; i + 1 < points.length; i++) {
+            linePositions.setXYZ(2 * i, points[i].x, points[i].y, points[i].z);
+            linePositions.setXYZ(2 * i + 1, points[i + 1].x, points[i + 1].y, points[i + 1].z);
+        }
+        linePositions.needsUpdate = true;
+        measureLines.geometry.setDrawRange(0, 2 * Math.max(points.length - 1, 0));
+        atomLabels.forEach((label, i) => {
+            label.visible = i < points.length;
+            if (label.visible) label.position.copy(points[i]);
+        });
+
+        const measurement = measure(points, scale);
+        valueLabel.visible = !!measurement;
+        if (measurement) {
+            valueLabel.position.copy(measurement.at);
+            valueLabel.element.textContent = formatMeasurement(measurement);
+        }
+
+        const atoms = selection.map(({ mol, atom }) => ({ molecule: mol, index: atom, element: elementOf(mol, atom) }));
+        const key = `${atoms.map(a => `${a.element}${a.index}`).join()}|${measurement ? formatMeasurement(measurement) : ""}`;
+        if (key === selectionKey) return;
+        selectionKey = key;
+        onSelectionChange?.({ atoms, measurement: measurement && { kind: measurement.kind, value: measurement.value } });
+    };
+
+    // ── STYLE
+    const atomRadius = (el, mol) => {
+        const style = RENDER_STYLES[renderStyle];
+        return (style.lines ? style.pickRadius : style.atomRadius(ELEMENT_BY_SYMBOL[el])) * (mol.transform?.scale ?? 1);
+    };
+
+    // Switching style only changes how the next frame is drawn, so a
+    // transition in progress carries on from where it is
+    const setStyle = (next) => {
+        if (!RENDER_STYLES[next] || next === renderStyle) return;
+        renderStyle = next;
+        needsDraw = true;
+    };
+
+    // ── DRAWING
+    // Draw each strand of each bond in two halves, atom end to midpoint,
+    // each coloured for its atom; as cylinders or lines depending on style
+    const placeBonds = ({ bondMesh, bondLines }, segments, scale) => {
+        const style = RENDER_STYLES[renderStyle];
+        const dummy = new THREE.Object3D();
+        const axis = new THREE.Vector3();
+        const side = new THREE.Vector3();
+        const offset = new THREE.Vector3();
+        const from = new THREE.Vector3();
+        const to = new THREE.Vector3();
+        const mid = new THREE.Vector3();
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const color = new THREE.Color();
+        const positions = bondLines.geometry.attributes.position;
+        const colors = bondLines.geometry.attributes.color;
+        let pieces = 0;
+
+        const emit = (p, q, radius, el, override, opacity) => {
+            color.set(style.bondColor ?? override ?? ELEMENT_COLORS[el]).multiplyScalar(opacity);
+            if (style.lines) {
+                positions.setXYZ(2 * pieces, p.x, p.y, p.z);
+                positions.setXYZ(2 * pieces + 1, q.x, q.y, q.z);
+                colors.setXYZ(2 * pieces, color.r, color.g, color.b);
+                colors.setXYZ(2 * pieces + 1, color.r, color.g, color.b);
+            } else {
+                dummy.position.lerpVectors(p, q, 0.5);
+                dummy.quaternion.setFromUnitVectors(Y_AXIS, axis.subVectors(q, p).normalize());
+                dummy.scale.set(radius, p.distanceTo(q), radius);
+                dummy.updateMatrix();
+                bondMesh.setMatrixAt(pieces, dummy.matrix);
+                bondMesh.setColorAt(pieces, color);
+            }
+            pieces++;
+        };
+
+        for (const { start, end, el1, el2, color1, color2, side: sideHint, strands, opacity = 1 } of segments) {
+            axis.subVectors(end, start).normalize();
+            side.copy(sideHint).addScaledVector(axis, -sideHint.dot(axis));
+            if (side.lengthSq() < 1e-12) side.set(1, 0, 0).cross(axis);
+            if (side.lengthSq() < 1e-12) side.set(0, 1, 0).cross(axis);
+            side.normalize();
+
+            for (const strand of strands) {
+                // Lines cannot thin out, so they appear once half grown
+                if (style.lines ? strand.radius < 0.5 : strand.radius < 0.01) continue;
+                const radius = strand.radius * style.bondRadius * scale;
+                offset.copy(side).multiplyScalar(strand.offset * style.bondSpacing * scale);
+                from.addVectors(start, offset);
+                to.addVectors(end, offset);
+                mid.lerpVectors(from, to, 0.5);
+                for (const [p, el, override] of [[from, el1, color1], [to, el2, color2]]) {
+                    if (!strand.dashed) {
+                        emit(p, mid, radius, el, override, opacity);
+                        continue;
+                    }
+                    for (const [f0, f1] of DASHES) {
+                        emit(a.lerpVectors(p, mid, f0), b.lerpVectors(p, mid, f1), radius, el, override, opacity);
+                    }
+                }
+            }
+        }
+
+        bondMesh.visible = !style.lines && style.bondRadius > 0;
+        bondMesh.count = style.lines ? 0 : pieces;
+        bondMesh.instanceMatrix.needsUpdate = true;
+        bondMesh.instanceColor.needsUpdate = true;
+
+        bondLines.visible = !!style.lines;
+        bondLines.geometry.setDrawRange(0, style.lines ? 2 * pieces : 0);
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+    };
+
+    // Draw morph `m` into `layer` at eased time t (0 = `prev`, 1 = `curr`);
+    // `colorOf(track)` may replace element colours. Returns the atom
+    // positions and the scale they are drawn at.
+    const drawInto = (layer, m, t, colorOf = () => null) => {
+        const { prev, curr, tracks, bonds } = m;
+        ensurePools(layer, tracks.length, bonds.length * PIECES_PER_BOND);
+        const { atomMesh } = layer;
+        const dummy = new THREE.Object3D();
+        const color = new THREE.Color();
+        const colorTo = new THREE.Color();
+        const positions = tracks.map(({ from, to }) => new THREE.Vector3(...from).lerp(new THREE.Vector3(...to), t));
+
+        // ATOMS — unmatched ones scale and fade at their own positions
+        for (let i = 0; i < tracks.length; i++) {
+            const { elFrom, elTo, show } = tracks[i];
+            dummy.position.copy(positions[i]);
+            dummy.scale.setScalar(lerp(atomRadius(elFrom, prev) * show[0], atomRadius(elTo, curr) * show[1], t));
+            dummy.updateMatrix();
+            atomMesh.setMatrixAt(i, dummy.matrix);
+            const override = colorOf(i);
+            color.set(override ?? ELEMENT_COLORS[elFrom])
+                .lerp(colorTo.set(override ?? ELEMENT_COLORS[elTo]), t)
+                .multiplyScalar(lerp(show[0], show[1], t));
+            atomMesh.setColorAt(i, color);
+        }
+        atomMesh.count = tracks.length;
+        atomMesh.visible = !RENDER_STYLES[renderStyle].lines;
+        atomMesh.instanceMatrix.needsUpdate = true;
+        atomMesh.instanceColor.needsUpdate = true;
+        // Raycasting reuses the bounding sphere once computed, so drop it
+        // whenever the atoms move
+        atomMesh.boundingSphere = null;
+
+        // BONDS — follow the atom tracks
+        const segments = bonds.map(({ a, b, side, before, after, show, grow }) => {
+            let start = positions[a];
+            let end = positions[b];
+            if (grow) {
+                const mid = new THREE.Vector3().lerpVectors(start, end, 0.5);
+                start = mid.clone().lerp(start, t);
+                end = mid.lerp(end, t);
+            }
+            const elementAt = track => (t < 0.5 ? tracks[track].elFrom : tracks[track].elTo);
+            return {
+                start,
+                end,
+                el1: elementAt(a),
+                el2: elementAt(b),
+                color1: colorOf(a),
+                color2: colorOf(b),
+                side,
+                opacity: lerp(show[0], show[1], t),
+                strands: after.map(([offset, radius, dashed], k) => {
+                    const [offset0, radius0, dashed0] = before[k];
+                    return {
+                        offset: lerp(offset0, offset, t),
+                        radius: lerp(radius0, radius, t),
+                        dashed: t < 0.5 ? !!dashed0 : !!dashed,
+                    };
+                }),
+            };
+        });
+        const scale = lerp(prev.transform?.scale ?? 1, curr.transform?.scale ?? 1, t);
+        placeBonds(layer, segments, scale);
+        return { positions, scale };
+    };
+
+    // Draw the current morph, or the comparison if one is shown
+    const drawMorph = (t) => {
+        const pair = comparisonPair();
+        if (pair) {
+            drawComparison(pair);
+            return;
+        }
+        hideLayer(ghost);
+        links.visible = false;
+        measureOverlay.visible = true;
+        publishComparison(null);
+        if (!morph) {
+            hideLayer(main);
+            drawSelection([], 1);
+            return;
+        }
+        const { positions, scale } = drawInto(main, morph, t);
+        drawSelection(positions, scale);
+    };
+
+    // ── COMPARISON
+    // The molecule on screen (`b`) and the one before it (`a`), with mapped
+    // atoms joined by lines: superimposed, `a` translucent, or side by side
+    // in two viewports of the one camera, with the lines drawn across them
+    // in screen space.
+    let comparison = null;
+    let comparisonCache = null;
+    let publishedPair;
+    const linkScene = new THREE.Scene();
+    const linkCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, -1, 1);
+    const links = new THREE.LineSegments(
+        createLineGeometry(poolCapacity(0)),
+        new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.8 })
+    );
+    links.frustumCulled = false;
+    links.visible = false;
+    let linkPairs = [];
+
+    const comparisonPair = () => {
+        if (!comparison || molecules.length < 2) return null;
+        const b = molecules[currentSet];
+        const a = molecules[(currentSet + molecules.length - 1) % molecules.length];
+        if (comparisonCache?.a !== a || comparisonCache?.b !== b) comparisonCache = compareMolecules(a, b, molecules, caches);
+        return comparisonCache;
+    };
+
+    const publishComparison = (pair) => {
+        if (pair === publishedPair) return;
+        publishedPair = pair;
+        onComparisonChange?.(pair && {
+            a: pair.a,
+            b: pair.b,
+            rmsd: pair.rmsd,
+            matched: pair.matched,
+            atoms: pair.b.atoms.length,
+            ...comparison,
+        });
+    };
+
+    const drawComparison = (pair) => {
+        const colorFor = which => i => comparisonColor(pair, comparison.colour, which, i);
+        drawInto(main, pair.morphB, 1, colorFor("b"));
+        drawInto(ghost, pair.morphA, 1, colorFor("a"));
+        measureOverlay.visible = false;
+
+        linkPairs = pair.mapping.map((j, i) => [i, j]).filter(([, j]) => j !== -1);
+        if (links.geometry.attributes.position.count < 2 * linkPairs.length) {
+            links.geometry.dispose();
+            links.geometry = createLineGeometry(poolCapacity(linkPairs.length));
+        }
+        const positions = links.geometry.attributes.position;
+        const colors = links.geometry.attributes.color;
+        const color = new THREE.Color();
+        linkPairs.forEach(([i, j], k) => {
+            if (comparison.colour === "displacement") displacementColor(pair.displacement[i], color);
+            else color.copy(LINK_COLOR);
+            colors.setXYZ(2 * k, color.r, color.g, color.b);
+            colors.setXYZ(2 * k + 1, color.r, color.g, color.b);
+            positions.setXYZ(2 * k, ...pair.a.atoms[j]);
+            positions.setXYZ(2 * k + 1, ...pair.b.atoms[i]);
+        });
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        links.geometry.setDrawRange(0, 2 * linkPairs.length);
+        links.visible = comparison.lines;
+        const linkParent = comparison.layout === "side-by-side" ? linkScene : scene;
+        if (links.parent !== linkParent) linkParent.add(links);
+        publishComparison(pair);
+    };
+
+    /**
+     * Compare each molecule with the one before it; null turns comparison
+     * off. `layout` is a COMPARISON_LAYOUTS key, `colour` a
+     * COMPARISON_COLOURS key and `lines` shows the correspondence lines.
+     */
+    const setComparison = (options) => {
+        comparison = options && {
+            layout: COMPARISON_LAYOUTS[options.layout] ? options.layout : "overlay",
+            colour: COMPARISON_COLOURS[options.colour] ? options.colour : "match",
+            lines: options.lines ?? true,
+        };
+        publishedPair = undefined;
+        needsDraw = true;
+    };
+
+    // Side-by-side: `a` on the left, `b` on the right, each viewport seeing
+    // only its molecule's camera layer; then the lines, projected from both
+    // halves onto the whole canvas
+    const renderSize = new THREE.Vector2();
+    const projected = new THREE.Vector3();
+    const renderSideBySide = (pair) => {
+        renderer.getSize(renderSize);
+        const width = renderSize.x / 2;
+        const height = renderSize.y;
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        renderer.setScissorTest(true);
+        for (const [layer, x] of [[COMPARE_LAYER, 0], [0, width]]) {
+            renderer.setViewport(x, 0, width, height);
+            renderer.setScissor(x, 0, width, height);
+            camera.layers.set(layer);
+            renderer.render(scene, camera);
+        }
+        camera.layers.enable(COMPARE_LAYER);
+
+        if (links.visible) {
+            const positions = links.geometry.attributes.position;
+            linkPairs.forEach(([i, j], k) => {
+                projected.set(...pair.a.atoms[j]).project(camera);
+                positions.setXYZ(2 * k, (projected.x - 1) / 2, projected.y, 0);
+                projected.set(...pair.b.atoms[i]).project(camera);
+                positions.setXYZ(2 * k + 1, (projected.x + 1) / 2, projected.y, 0);
+            });
+            positions.needsUpdate = true;
+            renderer.setViewport(0, 0, renderSize.x, height);
+            renderer.setScissor(0, 0, renderSize.x, height);
+            renderer.autoClear = false;
+            renderer.render(linkScene, linkCamera);
+            renderer.autoClear = true;
+        }
+
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, renderSize.x, height);
+        camera.aspect = renderSize.x / height;
+        camera.updateProjectionMatrix();
+    };
+
+    // ── TRANSITION
+    const transition = (idx) => {
+        const target = molecules[idx];
+        onShowMolecule?.(target);
+        onTransition?.(idx, target);
+        showMorph(buildMorph(molecules[currentSet], target, molecules, caches));
+        playback.from = currentSet;
+        playback.phase = "morph";
+        playback.elapsed = 0;
+        progress = 0;
+        currentSet = idx;
+        needsDraw = true;
+    };
+
+    // ── PLAYBACK
+    const holdFor = (idx) => playback.holds[idx] ?? playback.interval;
+
+    // Molecule after the current one in the playback mode, or null at the
+    // end of a "once" run
+    const nextIndex = () => {
+        const n = molecules.length;
+        if (playback.mode === "loop") return (currentSet + 1) % n;
+        if (playback.mode === "once") return currentSet + 1 < n ? currentSet + 1 : null;
+        if (currentSet + playback.direction < 0 || currentSet + playback.direction >= n) {
+            playback.direction = -playback.direction;
+        }
+        return currentSet + playback.direction;
+    };
+
+    // Scrubber position: molecule index plus the fraction of the way to the
+    // next; the loop's wrap from the last molecule back to the first runs
+    // from n - 1 to n
+    const scrubPosition = () => {
+        const n = molecules.length;
+        if (playback.phase === "hold") return currentSet;
+        if (playback.mode === "loop" && playback.from === n - 1 && currentSet === 0 && n > 1) return n - 1 + progress;
+        return playback.from + (currentSet - playback.from) * progress;
+    };
+
+    // Report the playback state when it changes. Drawn frames only move
+    // the scrubber, so with `throttle` a morph's position is sent at most
+    // every POSITION_UPDATE_MS rather than re-rendering controls each frame
+    let published = null;
+    let publishedAt = 0;
+    const publishPlayback = (throttle = false) => {
+        const state = {
+            playing: playback.playing,
+            speed: playback.speed,
+            mode: playback.mode,
+            hold: holdFor(currentSet),
+            current: currentSet,
+            position: scrubPosition(),
+            count: molecules.length,
+        };
+        const changed = Object.keys(state).filter(key => state[key] !== published?.[key]);
+        if (changed.length === 0) return;
+        const now = performance.now();
+        const positionOnly = changed.length === 1 && changed[0] === "position";
+        if (throttle && positionOnly && playback.phase === "morph" && now - publishedAt < POSITION_UPDATE_MS) return;
+        published = state;
+        publishedAt = now;
+        onPlaybackChange?.(state);
+    };
+
+    // Advance by `dt` ms of wall-clock time; true when the frame changed
+    const advancePlayback = (dt) => {
+        if (!(playback.playing || playback.stepping) || molecules.length === 0) return false;
+        playback.elapsed += dt * playback.speed;
+        if (playback.phase === "morph") {
+            progress = Math.min(playback.elapsed / MORPH_MS, 1);
+            if (progress >= 1) {
+                playback.phase = "hold";
+                playback.elapsed = 0;
+                playback.stepping = false;
+            }
+            return true;
+        }
+        if (!playback.playing) return false;
+        if (molecules.length < 2 || playback.elapsed < holdFor(currentSet)) return false;
+        const next = nextIndex();
+        if (next === null) {
+            playback.playing = false;
+            publishPlayback();
+            return false;
+        }
+        transition(next);
+        return true;
+    };
+
+    const play = () => {
+        // A finished "once" run starts again from the beginning
+        if (playback.mode === "once" && playback.phase === "hold" && currentSet === molecules.length - 1) {
+            transition(0);
+        }
+        playback.playing = true;
+        publishPlayback();
+    };
+
+    const pause = () => {
+        playback.playing = false;
+        publishPlayback();
+    };
+
+    // Morph to molecule `idx` from the one shown now
+    const goTo = (idx) => {
+        if (idx < 0 || idx >= molecules.length) return;
+        playback.direction = idx >= currentSet ? 1 : -1;
+        playback.stepping = true;
+        transition(idx);
+        publishPlayback();
+    };
+
+    // One molecule forward or back; only loop mode wraps round
+    const step = (delta) => {
+        const n = molecules.length;
+        const idx = currentSet + delta;
+        goTo(playback.mode === "loop" ? (idx + n) % n : idx);
+    };
+
+    // Show the point `position` (see scrubPosition) of the sequence, paused
+    const seek = (position) => {
+        const n = molecules.length;
+        if (n === 0) return;
+        playback.playing = false;
+        playback.stepping = false;
+        position = Math.min(Math.max(position, 0), playback.mode === "loop" ? n : n - 1);
+        const from = Math.min(Math.floor(position), n - 1);
+        const fraction = position - from;
+        const to = fraction > 0 ? (from + 1) % n : from;
+        if (morph?.prev !== molecules[from] || morph?.curr !== molecules[to]) {
+            showMorph(buildMorph(molecules[from], molecules[to], molecules, caches));
+        }
+        onShowMolecule?.(molecules[fraction < 0.5 ? from : to]);
+        playback.from = from;
+        playback.direction = 1;
+        currentSet = to;
+        progress = fraction > 0 ? fraction : 1;
+        playback.phase = fraction > 0 ? "morph" : "hold";
+        playback.elapsed = fraction > 0 ? fraction * MORPH_MS : 0;
+        needsDraw = true;
+        publishPlayback();
+    };
+
+    // `hold` applies to the current molecule, `interval` to all the others
+    const setPlaybackOptions = ({ speed, mode, hold, interval }) => {
+        if (speed > 0) playback.speed = speed;
+        if (PLAYBACK_MODES.includes(mode)) playback.mode = mode;
+        if (hold >= 0) playback.holds[currentSet] = hold;
+        if (interval >= 0) playback.interval = interval;
+        publishPlayback();
+    };
+
+    // Show a new sequence from its first molecule, morphing to it from the
+    // molecule on screen if there is one
+    const setMolecules = (list) => {
+        const shown = morph?.curr;
+        molecules = list;
+        const needs = sequenceNeeds(molecules);
+        ensurePools(main, needs.atoms, needs.pieces);
+        currentSet = 0;
+        playback.from = 0;
+        playback.direction = 1;
+        playback.holds = [];
+        // Wrapping round from the last molecule to the first needs the one
+        // mapping not found while aligning; find it now rather than mid-loop
+        if (molecules.length > 1) mappingBetween(molecules[molecules.length - 1], molecules[0], molecules, caches);
+        if (molecules.length === 0) {
+            showMorph(null);
+            onShowMolecule?.(null);
+        } else if (shown) {
+            onShowMolecule?.(molecules[0]);
+            onTransition?.(0, molecules[0]);
+            showMorph(buildMorph(shown, molecules[0], molecules, caches));
+            progress = 0;
+            playback.phase = "morph";
+            playback.elapsed = 0;
+            playback.stepping = true;
+        } else {
+            showMorph(buildMorph(molecules[0], molecules[0], molecules, caches));
+            progress = 1;
+            playback.phase = "hold";
+            playback.elapsed = 0;
+            onShowMolecule?.(molecules[0]);
+        }
+        needsDraw = true;
+        publishPlayback();
+    };
+
+    // ── PICKING
+    const raycaster = new THREE.Raycaster();
+    raycaster.layers.enableAll();
+    const pointer = new THREE.Vector2();
+
+    /**
+     * Atom under the viewport point (clientX, clientY), or null. Reports the
+     * molecule being morphed to, or the one being left for atoms that are
+     * fading out: `{ molecule, index, element, partner, partnerMolecule,
+     * position, x, y }`. `partner` is the index of the mapped atom in
+     * `partnerMolecule` (the molecule before in the sequence, or the other
+     * molecule of a comparison; null if none), `position` is in Å in the
+     * molecule's aligned frame and (x, y) is the point in px from the
+     * viewer's corner.
+     */
+    const pick = (clientX, clientY) => {
+        const rect = renderer.domElement.getBoundingClientRect();
+        const x = clientX - rect.left;
+        const y = clientY - rect.top;
+        const pair = comparisonPair();
+        let viewport = { left: 0, width: rect.width };
+        let targets;
+        if (!pair) targets = morph ? [[main, morph]] : [];
+        else if (comparison.layout === "side-by-side") {
+            const left = x < rect.width / 2;
+            viewport = { left: left ? 0 : rect.width / 2, width: rect.width / 2 };
+            targets = [left ? [ghost, pair.morphA] : [main, pair.morphB]];
+        } else targets = [[main, pair.morphB], [ghost, pair.morphA]];
+        // Wireframe hides its atoms but they can still be picked
+        targets = targets.filter(([layer]) => layer.atomMesh.count > 0);
+        if (targets.length === 0) return null;
+
+        pointer.set(((x - viewport.left) / viewport.width) * 2 - 1, -(y / rect.height) * 2 + 1);
+        const aspect = camera.aspect;
+        camera.aspect = viewport.width / rect.height;
+        camera.updateProjectionMatrix();
+        raycaster.setFromCamera(pointer, camera);
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+        const hit = targets
+            .flatMap(([layer, m]) => raycaster.intersectObject(layer.atomMesh)
+                .filter(h => h.instanceId < m.tracks.length)
+                .map(h => ({ distance: h.distance, track: m.tracks[h.instanceId], m })))
+            .sort((p, q) => p.distance - q.distance)[0];
+        if (!hit) return null;
+
+        const { track, m } = hit;
+        const [molecule, index] = track.atom !== -1 ? [m.curr, track.atom] : [m.prev, track.prevAtom];
+        const [partner, partnerMolecule] = !pair
+            ? [molecule.atomMapping?.[index] ?? -1, molecules[molecules.indexOf(molecule) - 1] ?? null]
+            : m === pair.morphB ? [pair.mapping[index], pair.a] : [pair.partnerOfA[index], pair.b];
+        const atom = [molecule.atoms[index]];
+        const mapped = partner !== -1 && partnerMolecule !== null;
+        return {
+            molecule,
+            index,
+            element: elementOf(molecule, index),
+            partner: mapped ? partner : null,
+            partnerMolecule: mapped ? partnerMolecule : null,
+            position: molecule.transform ? toAngstrom(atom, molecule.transform)[0] : atom[0],
+            x,
+            y,
+        };
+    };
+
+    // A click is a press and release without dragging the view round
+    let pressed = null;
+    const onPointerDown = (e) => { pressed = { x: e.clientX, y: e.clientY }; };
+    const onPointerUp = (e) => {
+        const start = pressed;
+        pressed = null;
+        if (!start || Math.hypot(e.clientX - start.x, e.clientY - start.y) > CLICK_TOLERANCE) return;
+        const picked = pick(e.clientX, e.clientY);
+        if (!picked) return;
+        // Measuring follows the morph, so it is off while comparing
+        if (!comparisonPair()) toggleSelection(picked);
+        onAtomPick?.(picked);
+    };
+
+    // Hovering reports each atom once as the pointer moves onto it, and
+    // nothing while the view is being dragged
+    let hovered = null;
+    const hover = (picked) => {
+        if (picked?.molecule === hovered?.molecule && picked?.index === hovered?.index) return;
+        hovered = picked;
+        onAtomHover?.(picked);
+    };
+    const onPointerMove = (e) => hover(e.buttons === 0 ? pick(e.clientX, e.clientY) : null);
+    const onPointerLeave = () => hover(null);
+
+    renderer.domElement.addEventListener("pointerdown", onPointerDown);
+    renderer.domElement.addEventListener("pointerup", onPointerUp);
+    renderer.domElement.addEventListener("pointermove", onPointerMove);
+    renderer.domElement.addEventListener("pointerleave", onPointerLeave);
+
+    // ── ANIMATION LOOP
+    const animate = (now = performance.now()) => {
+        animationId = requestAnimationFrame(animate);
+
+        const dt = Math.min(now - (playback.lastFrame ?? now), MAX_FRAME_MS);
+        playback.lastFrame = now;
+        if (advancePlayback(dt)) needsDraw = true;
+
+        if (needsDraw) {
+            needsDraw = false;
+            const t = progress < 0.5 ? 2 * progress * progress : -1 + (4 - 2 * progress) * progress;
+            drawMorph(t);
+            publishPlayback(true);
+        }
+
+        controls.update();
+        const pair = comparisonPair();
+        if (pair && comparison.layout === "side-by-side") renderSideBySide(pair);
+        else renderer.render(scene, camera);
+        labelRenderer.render(scene, camera);
+    };
+
+    const resize = () => {
+        const { clientWidth, clientHeight } = container;
+        if (clientWidth === 0 || clientHeight === 0) return;
+        camera.aspect = clientWidth / clientHeight;
+        camera.updateProjectionMatrix();
+        renderer.setSize(clientWidth, clientHeight);
+        labelRenderer.setSize(clientWidth, clientHeight);
+    };
+    const resizeObserver = new ResizeObserver(resize);
+    resizeObserver.observe(container);
+    resize();
+    animate();
+
+    // Stop the loop and release everything this viewer put on the GPU
+    const dispose = () => {
+        cancelAnimationFrame(animationId);
+        resizeObserver.disconnect();
+        renderer.domElement.removeEventListener("pointerdown", onPointerDown);
+        renderer.domElement.removeEventListener("pointerup", onPointerUp);
+        renderer.domElement.removeEventListener("pointermove", onPointerMove);
+        renderer.domElement.removeEventListener("pointerleave", onPointerLeave);
+        controls.dispose();
+        for (const { atomMesh, bondMesh, bondLines } of [main, ghost]) {
+            atomMesh.dispose();
+            bondMesh.dispose();
+            bondLines.geometry.dispose();
+        }
+        [measureLines, links].forEach(({ geometry, material }) => {
+            geometry.dispose();
+            material.dispose();
+        });
+        [sphereGeo, cylGeo, ...materials].forEach(resource => resource.dispose());
+        renderer.dispose();
+        renderer.forceContextLoss();
+        renderer.domElement.remove();
+        labelRenderer.domElement.remove();
+        caches = createCaches();
+        onShowMolecule = null;
+        onPlaybackChange = null;
+        onTransition = null;
+        onAtomPick = null;
+        onAtomHover = null;
+        onSelectionChange = null;
+        onComparisonChange = null;
+    };
+
+    return {
+        get molecules() { return molecules; },
+        setMolecules,
+        setStyle,
+        setCamera,
+        resetCamera,
+        pick,
+        clearSelection,
+        setComparison,
+        play,
+        pause,
+        step,
+        goTo,
+        seek,
+        setPlaybackOptions,
+        dispose,
+    };
+}